@@ -1,56 +1,85 @@
+import { unref } from 'vue'
 import { calculateBarWidth as calculateBarWidthUtil } from '@/utils/chartCalculations.js'
 
 /**
  * Composable for calculating bar dimensions and positions
- * Handles both grouped and stacked bar chart layouts
+ * Handles both grouped and stacked bar chart layouts, along either axis.
+ * Sizes and offsets are measured along the index (category) axis: for vertical bars
+ * that is X (thickness is the bar's width, offset its left edge); for horizontal bars
+ * (indexAxis 'y') it is Y (thickness is the bar's height, offset its top edge).
  * @param {{
  *   labels: import('vue').Ref<string[]>|import('vue').ComputedRef<string[]>,
  *   visibleDatasets: import('vue').Ref<import('../types.js').Dataset[]>|import('vue').ComputedRef<import('../types.js').Dataset[]>,
  *   gapRatio: number,
- *   stacked: boolean
+ *   stacked: boolean,
+ *   stackCount?: number|import('vue').Ref<number>,
+ *   indexAxis?: 'x'|'y'|import('vue').Ref<'x'|'y'>
  * }} params - Configuration parameters
- * @param {import('vue').Ref<string[]>|import('vue').ComputedRef<string[]>} params.labels - Chart labels (x-axis categories)
+ * @param {import('vue').Ref<string[]>|import('vue').ComputedRef<string[]>} params.labels - Chart labels (categories)
  * @param {import('vue').Ref<import('../types.js').Dataset[]>|import('vue').ComputedRef<import('../types.js').Dataset[]>} params.visibleDatasets - Visible datasets
  * @param {number} [params.gapRatio=0.2] - Gap ratio between bars (0-1, where 0.2 = 20% gap)
  * @param {boolean} [params.stacked=false] - Whether bars are stacked
+ * @param {number|import('vue').Ref<number>} [params.stackCount=1] - Number of side-by-side stacks per category (stacked only)
+ * @param {'x'|'y'|import('vue').Ref<'x'|'y'>} [params.indexAxis='x'] - Axis the categories run along ('y' for horizontal bars)
  * @returns {{
  *   getGroupWidth: (chartArea: import('../types.js').ChartArea) => number,
+ *   getBarThickness: (chartArea: import('../types.js').ChartArea) => number,
+ *   getBarOffset: (labelIndex: number, datasetIndex: number, chartArea: import('../types.js').ChartArea) => number,
  *   getBarWidth: (chartArea: import('../types.js').ChartArea) => number,
  *   getBarX: (labelIndex: number, datasetIndex: number, chartArea: import('../types.js').ChartArea) => number,
  *   getGroupStart: (labelIndex: number, chartArea: import('../types.js').ChartArea) => number,
  *   getGroupCenter: (labelIndex: number, chartArea: import('../types.js').ChartArea) => number
- * }} Bar dimension calculation functions
+ * }} Bar dimension calculation functions (getBarWidth and getBarX are aliases of getBarThickness and getBarOffset)
  * @example
  * const { getBarWidth, getBarX } = useBarDimensions({ labels, visibleDatasets, gapRatio: 0.2, stacked: false })
+ * const { getBarThickness, getBarOffset } = useBarDimensions({ labels, visibleDatasets, indexAxis: 'y' })
  */
-export function useBarDimensions({ labels, visibleDatasets, gapRatio = 0.2, stacked = false }) {
+export function useBarDimensions({ labels, visibleDatasets, gapRatio = 0.2, stacked = false, stackCount = 1, indexAxis = 'x' }) {
     /**
-     * Calculate the width of each group (category) along the x-axis
+     * Length of the index axis within the chart area
+     * @param {import('../types.js').ChartArea} chartArea - Chart area dimensions
+     * @returns {number} Axis length in pixels
+     */
+    const getAxisLength = (chartArea) => {
+        return unref(indexAxis) === 'y' ? chartArea.height : chartArea.width
+    }
+
+    /**
+     * Start coordinate of the index axis within the chart area
+     * @param {import('../types.js').ChartArea} chartArea - Chart area dimensions
+     * @returns {number} Axis start in pixels
+     */
+    const getAxisStart = (chartArea) => {
+        return unref(indexAxis) === 'y' ? chartArea.y : chartArea.x
+    }
+
+    /**
+     * Calculate the size of each group (category) along the index axis
      * @param {import('../types.js').ChartArea} chartArea - Chart area dimensions
      * @returns {number} Group width in pixels
      */
     const getGroupWidth = (chartArea) => {
         const labelCount = labels.value?.length || 0
         if (labelCount === 0) return 0
-        return chartArea.width / labelCount
+        return getAxisLength(chartArea) / labelCount
     }
 
     /**
-     * Calculate the width of a single bar
+     * Calculate the thickness of a single bar
      * For grouped bars: distributed among datasets
-     * For stacked bars: takes full group width (minus gap)
+     * For stacked bars: takes full group width (minus gap), shared between stack groups
      * @param {import('../types.js').ChartArea} chartArea - Chart area dimensions
-     * @returns {number} Bar width in pixels
+     * @returns {number} Bar thickness in pixels
      */
-    const getBarWidth = (chartArea) => {
+    const getBarThickness = (chartArea) => {
         const labelCount = labels.value?.length || 0
         if (labelCount === 0) return 0
 
         const groupWidth = getGroupWidth(chartArea)
 
         if (stacked) {
-            // Stacked bars: single bar per group
-            return calculateBarWidthUtil(groupWidth, 1, gapRatio)
+            // Stacked bars: one bar per stack group
+            return calculateBarWidthUtil(groupWidth, Math.max(unref(stackCount) || 1, 1), gapRatio)
         } else {
             // Grouped bars: divide among visible datasets
             const datasetCount = visibleDatasets.value?.length || 0
@@ -59,23 +88,24 @@ export function useBarDimensions({ labels, visibleDatasets, gapRatio = 0.2, stac
     }
 
     /**
-     * Calculate the X position for a grouped or stacked bar
+     * Calculate the position of a grouped or stacked bar along the index axis
      * @param {number} labelIndex - Index of the category/label
-     * @param {number} datasetIndex - Index of the dataset (0 for stacked)
+     * @param {number} datasetIndex - Index of the dataset (index of the stack group for stacked bars)
      * @param {import('../types.js').ChartArea} chartArea - Chart area dimensions
-     * @returns {number} X position in pixels
+     * @returns {number} X position (Y for horizontal bars) in pixels
      */
-    const getBarX = (labelIndex, datasetIndex, chartArea) => {
+    const getBarOffset = (labelIndex, datasetIndex, chartArea) => {
         const labelCount = labels.value?.length || 0
         if (labelCount === 0) return 0
 
         const groupWidth = getGroupWidth(chartArea)
-        const groupStart = chartArea.x + groupWidth * labelIndex
-        const barW = getBarWidth(chartArea)
+        const groupStart = getAxisStart(chartArea) + groupWidth * labelIndex
+        const barW = getBarThickness(chartArea)
 
         if (stacked) {
-            // Stacked bars: centered within group
-            return groupStart + (groupWidth - barW) / 2
+            // Stacked bars: stack groups side by side, centered within group
+            const count = Math.max(unref(stackCount) || 1, 1)
+            return groupStart + (groupWidth - barW * count) / 2 + barW * datasetIndex
         } else {
             // Grouped bars: position based on dataset index
             const datasetCount = visibleDatasets.value?.length || 0
@@ -86,33 +116,35 @@ export function useBarDimensions({ labels, visibleDatasets, gapRatio = 0.2, stac
     }
 
     /**
-     * Calculate the start X position for a group
+     * Calculate the start position for a group along the index axis
      * Useful for group labels or backgrounds
      * @param {number} labelIndex - Index of the category/label
      * @param {import('../types.js').ChartArea} chartArea - Chart area dimensions
-     * @returns {number} Group start X position in pixels
+     * @returns {number} Group start position in pixels
      */
     const getGroupStart = (labelIndex, chartArea) => {
         const groupWidth = getGroupWidth(chartArea)
-        return chartArea.x + groupWidth * labelIndex
+        return getAxisStart(chartArea) + groupWidth * labelIndex
     }
 
     /**
-     * Calculate the center X position for a group
+     * Calculate the center position for a group along the index axis
      * Useful for centered labels
      * @param {number} labelIndex - Index of the category/label
      * @param {import('../types.js').ChartArea} chartArea - Chart area dimensions
-     * @returns {number} Group center X position in pixels
+     * @returns {number} Group center position in pixels
      */
     const getGroupCenter = (labelIndex, chartArea) => {
         const groupWidth = getGroupWidth(chartArea)
-        return chartArea.x + groupWidth * labelIndex + groupWidth / 2
+        return getAxisStart(chartArea) + groupWidth * labelIndex + groupWidth / 2
     }
 
     return {
         getGroupWidth,
-        getBarWidth,
-        getBarX,
+        getBarThickness,
+        getBarOffset,
+        getBarWidth: getBarThickness,
+        getBarX: getBarOffset,
         getGroupStart,
         getGroupCenter
     }
@@ -0,0 +1,148 @@
+import { computed, onUnmounted, ref, watch } from 'vue'
+import { getEasing, interpolate } from '@/utils/chartCalculations.js'
+import { useMediaQuery } from '@/composables/useMediaQuery.js'
+
+/**
+ * Composable for entry and update animations
+ * Charts pass their geometry through tween(), keyed by what the element represents (e.g. dataset
+ * and category label). Each key animates from the value last drawn under it to its new target, so
+ * when data changes elements move from their old geometry to the new one; keys drawn for the
+ * first time start from their initial value (e.g. a bar of zero height on the baseline).
+ * The entry animation runs on creation and an update animation whenever source changes. Both are
+ * skipped when animation is disabled (animation: false or enabled: false) or the user prefers
+ * reduced motion.
+ * @param {import('vue').ComputedRef<import('../types.js').ChartOptions>} config - Merged chart configuration ref
+ * @param {import('vue').WatchSource} source - Data the geometry is drawn from, e.g. the visible datasets
+ * @returns {{
+ *   progress: import('vue').Ref<number>,
+ *   isAnimating: import('vue').Ref<boolean>,
+ *   isEntering: import('vue').Ref<boolean>,
+ *   tween: <T extends number|Object<string, *>>(key: string, target: T, initial?: T) => T
+ * }} Animation state and tween function
+ * @example
+ * const { tween } = useChartAnimation(config, visibleDatasets)
+ * const rect = tween(`${dataset.label}|${label}`, { x, y, width, height }, { x, y: baseY, width, height: 0 })
+ */
+export function useChartAnimation(config, source) {
+    const prefersReducedMotion = useMediaQuery('(prefers-reduced-motion: reduce)')
+
+    /**
+     * Eased progress of the current animation (1 when idle)
+     */
+    const progress = ref(1)
+
+    /**
+     * Whether an animation is running
+     */
+    const isAnimating = ref(false)
+
+    /**
+     * Whether the running animation is the entry animation
+     */
+    const isEntering = ref(false)
+
+    /**
+     * Whether animations should run
+     */
+    const isEnabled = computed(() => {
+        const animation = config.value.animation
+        return animation !== false &&
+            animation?.enabled !== false &&
+            (animation?.duration ?? 0) > 0 &&
+            !prefersReducedMotion.value
+    })
+
+    // Values drawn in the current animation's first frame come from fromValues; every
+    // value drawn is recorded so the next animation can start from it
+    let fromValues = new Map()
+    let drawnValues = new Map()
+    let frame = null
+
+    // Cancel the running animation, leaving the geometry at its targets
+    function stop() {
+        if (frame !== null) {
+            cancelAnimationFrame(frame)
+            frame = null
+        }
+
+        progress.value = 1
+        isAnimating.value = false
+        isEntering.value = false
+    }
+
+    // Start an animation from the geometry drawn so far
+    function start(entering) {
+        stop()
+        fromValues = drawnValues
+        drawnValues = new Map()
+
+        if (!isEnabled.value || typeof requestAnimationFrame === 'undefined') return
+
+        const duration = config.value.animation.duration
+        const easing = getEasing(config.value.animation.easing)
+        let startTime = null
+
+        progress.value = 0
+        isAnimating.value = true
+        isEntering.value = entering
+
+        const step = (time) => {
+            startTime ??= time
+            const elapsed = Math.min(1, (time - startTime) / duration)
+            progress.value = easing(elapsed)
+
+            if (elapsed < 1) {
+                frame = requestAnimationFrame(step)
+            } else {
+                frame = null
+                isAnimating.value = false
+                isEntering.value = false
+            }
+        }
+
+        frame = requestAnimationFrame(step)
+    }
+
+    /**
+     * Get the value to draw for a key at the current point of the animation
+     * Objects are tweened per numeric property; other properties are passed through
+     * @param {string} key - Identity of the element being drawn
+     * @param {number|Object<string, *>} target - Geometry the element animates to
+     * @param {number|Object<string, *>} [initial=target] - Geometry the element starts from when it wasn't drawn before
+     * @returns {number|Object<string, *>} Geometry to draw now
+     */
+    function tween(key, target, initial = target) {
+        if (typeof target !== 'number') {
+            const result = { ...target }
+
+            for (const prop in target) {
+                if (typeof target[prop] === 'number') {
+                    result[prop] = tween(`${key}.${prop}`, target[prop], initial?.[prop] ?? target[prop])
+                }
+            }
+
+            return result
+        }
+
+        const from = fromValues.has(key) ? fromValues.get(key) : initial
+        const value = progress.value < 1 && Number.isFinite(from) && Number.isFinite(target)
+            ? interpolate(from, target, progress.value)
+            : target
+
+        drawnValues.set(key, value)
+        return value
+    }
+
+    watch(source, () => start(false))
+
+    onUnmounted(stop)
+
+    start(true)
+
+    return {
+        progress,
+        isAnimating,
+        isEntering,
+        tween
+    }
+}
@@ -1,4 +1,5 @@
-import { computed } from 'vue'
+import { computed, hasInjectionContext, inject } from 'vue'
+import { formatValue as formatNumberValue } from '@/utils/chartCalculations.js'
 
 /**
  * Default chart configuration
@@ -17,7 +18,8 @@ const DEFAULT_CONFIG = {
     },
     animation: {
         enabled: true,
-        duration: 300
+        duration: 300,
+        easing: 'easeInOutQuart'
     },
     scales: {
         x: {
@@ -52,11 +54,27 @@ const DEFAULT_CONFIG = {
         },
         tooltip: {
             enabled: true,
-            mode: 'index'
+            mode: 'index',
+            intersect: false
+        },
+        export: {
+            display: false,
+            formats: ['png', 'svg', 'clipboard', 'csv', 'json'],
+            dataTable: true,
+            filename: 'chart',
+            pixelRatio: 2
         }
     }
 }
 
+/**
+ * Injection key for app-wide defaults installed by createVueCharts
+ * The provided value holds options for every chart (global) and per chart type (types)
+ * @type {import('vue').InjectionKey<{global: import('../types.js').ChartOptions, types: Object<string, import('../types.js').ChartOptions>}>}
+ * @constant
+ */
+const CHART_DEFAULTS_KEY = Symbol('chartDefaults')
+
 /**
  * Deeply merge two objects (internal utility)
  * @private
@@ -81,32 +99,43 @@ function deepMerge(target, source) {
 
 /**
  * Composable for managing chart configuration
- * Merges user options with defaults and provides computed config accessors
+ * Merges user options with defaults and provides computed config accessors. Options are merged
+ * in order over DEFAULT_CONFIG: app-wide defaults, defaults for the chart type (both from
+ * createVueCharts), then the chart's own options.
  * @param {import('vue').Ref<import('../types.js').ChartOptions>} [userOptions={}] - User-provided options ref
+ * @param {import('../types.js').ChartType} [chartType] - Chart type whose app-wide defaults apply
  * @returns {{
  *   config: import('vue').ComputedRef<import('../types.js').ChartOptions>,
  *   isResponsive: import('vue').ComputedRef<boolean>,
  *   shouldMaintainAspectRatio: import('vue').ComputedRef<boolean>,
  *   aspectRatio: import('vue').ComputedRef<number>,
  *   padding: import('vue').ComputedRef<{top: number, right: number, bottom: number, left: number}>,
- *   animation: import('vue').ComputedRef<{enabled: boolean, duration: number}>,
+ *   animation: import('vue').ComputedRef<{enabled: boolean, duration: number, easing: import('../types.js').EasingName}>,
  *   scales: import('vue').ComputedRef<import('../types.js').ScalesConfig>,
  *   plugins: import('vue').ComputedRef<import('../types.js').PluginConfig>,
  *   showLegend: import('vue').ComputedRef<boolean>,
  *   showTooltip: import('vue').ComputedRef<boolean>,
+ *   indexAxis: import('vue').ComputedRef<'x'|'y'>,
+ *   locale: import('vue').ComputedRef<string|undefined>,
+ *   formatValue: (value: number, numberFormat?: Intl.NumberFormatOptions) => string,
+ *   formatPercentage: (percentage: number) => string,
  *   calculateDimensions: (containerWidth: number, containerHeight: number) => import('../types.js').Dimensions,
  *   calculateChartArea: (totalWidth: number, totalHeight: number) => import('../types.js').ChartArea
  * }} Object with config and utility functions
  * @example
  * const options = ref({ responsive: true, scales: { y: { beginAtZero: true } } })
- * const { config, scales, calculateChartArea } = useChartConfig(options)
+ * const { config, scales, calculateChartArea } = useChartConfig(options, 'bar')
  */
-export function useChartConfig(userOptions = {}) {
+export function useChartConfig(userOptions = {}, chartType) {
+    const appDefaults = hasInjectionContext() ? inject(CHART_DEFAULTS_KEY, null) : null
+
     /**
      * Merged configuration
      */
     const config = computed(() => {
-        return deepMerge(DEFAULT_CONFIG, userOptions.value || {})
+        const globalDefaults = deepMerge(DEFAULT_CONFIG, appDefaults?.global || {})
+        const typeDefaults = deepMerge(globalDefaults, appDefaults?.types?.[chartType] || {})
+        return deepMerge(typeDefaults, userOptions.value || {})
     })
 
     /**
@@ -172,6 +201,49 @@ export function useChartConfig(userOptions = {}) {
         return plugins.value.tooltip?.enabled !== false
     })
 
+    /**
+     * Get the axis categories run along ('y' for horizontal bar charts)
+     */
+    const indexAxis = computed(() => {
+        return config.value.indexAxis === 'y' ? 'y' : 'x'
+    })
+
+    /**
+     * Get locale used for number and date formatting (browser default if unset)
+     */
+    const locale = computed(() => {
+        return config.value.locale || undefined
+    })
+
+    /**
+     * Format a data value for display using the configured locale and numberFormat
+     * @param {number} value - Value to format
+     * @param {Intl.NumberFormatOptions} [numberFormat] - Options merged over the configured numberFormat
+     * @returns {string} Formatted value
+     */
+    const formatValue = (value, numberFormat) => {
+        return formatNumberValue(value, {
+            locale: locale.value,
+            numberFormat: { ...config.value.numberFormat, ...numberFormat }
+        })
+    }
+
+    /**
+     * Format a 0-100 percentage with one decimal place using the configured locale
+     * @param {number} percentage - Percentage (0-100)
+     * @returns {string} Formatted percentage
+     */
+    const formatPercentage = (percentage) => {
+        return formatNumberValue(percentage / 100, {
+            locale: locale.value,
+            numberFormat: {
+                style: 'percent',
+                minimumFractionDigits: 1,
+                maximumFractionDigits: 1
+            }
+        })
+    }
+
     /**
      * Calculate chart dimensions based on container and config
      * Handles responsive sizing and aspect ratio maintenance
@@ -225,9 +297,13 @@ export function useChartConfig(userOptions = {}) {
         plugins,
         showLegend,
         showTooltip,
+        indexAxis,
+        locale,
+        formatValue,
+        formatPercentage,
         calculateDimensions,
         calculateChartArea
     }
 }
 
-export { DEFAULT_CONFIG }
+export { DEFAULT_CONFIG, CHART_DEFAULTS_KEY }
@@ -1,16 +1,17 @@
 import { computed } from 'vue'
 import { validateChartData, validateNumericData } from '@/utils/validators.js'
 import { generateColorPalette } from '@/utils/colourUtils.js'
+import { useChartTheme } from '@/composables/useChartTheme.js'
 
 /**
  * Composable for normalizing and processing chart data
- * Validates data, applies default colors, and provides utility computed properties
+ * Validates data, applies default colors (options.colors, else the theme palette), and provides utility computed properties
  * @param {import('vue').Ref<import('../types.js').ChartData>} data - Reactive chart data ref
  * @param {import('vue').Ref<import('../types.js').ChartOptions>} [options={}] - Reactive chart options ref
  * @returns {{
  *   isValid: import('vue').ComputedRef<boolean>,
  *   normalisedDatasets: import('vue').ComputedRef<import('../types.js').Dataset[]>,
- *   allValues: import('vue').ComputedRef<number[]>,
+ *   allValues: import('vue').ComputedRef<Array<number|null>>,
  *   isNumeric: import('vue').ComputedRef<boolean>,
  *   datasetCount: import('vue').ComputedRef<number>,
  *   dataPointCount: import('vue').ComputedRef<number>,
@@ -22,6 +23,8 @@ import { generateColorPalette } from '@/utils/colourUtils.js'
  * const { isValid, normalisedDatasets, isEmpty } = useChartData(dataRef)
  */
 export function useChartData(data, options = {}) {
+    const { palette } = useChartTheme(options)
+
     /**
      * Validate the chart data structure
      * @type {import('vue').ComputedRef<boolean>}
@@ -42,7 +45,7 @@ export function useChartData(data, options = {}) {
 
         // Generate color palette once for all datasets
         const datasetCount = data.value.datasets.length
-        const colors = generateColorPalette(datasetCount, options.value?.colors)
+        const colors = generateColorPalette(datasetCount, options.value?.colors || palette.value)
 
         return data.value.datasets.map((dataset, index) => {
             return {
@@ -56,8 +59,8 @@ export function useChartData(data, options = {}) {
     })
 
     /**
-     * Get all data values from all datasets as a flat array
-     * @type {import('vue').ComputedRef<number[]>}
+     * Get all data values from all datasets as a flat array (including missing values)
+     * @type {import('vue').ComputedRef<Array<number|null>>}
      */
     const allValues = computed(() => {
         if (!data.value || !data.value.datasets) {
@@ -68,11 +71,11 @@ export function useChartData(data, options = {}) {
     })
 
     /**
-     * Check if all data values are valid numbers
+     * Check if all data values are valid numbers (null and undefined count as gaps)
      * @type {import('vue').ComputedRef<boolean>}
      */
     const isNumeric = computed(() => {
-        return validateNumericData(allValues.value)
+        return validateNumericData(allValues.value, { allowGaps: true })
     })
 
     /**
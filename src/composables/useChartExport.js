@@ -0,0 +1,43 @@
+import { ref } from 'vue'
+
+/**
+ * Composable forwarding a chart component's export methods to its BaseChart
+ * Bind baseChartRef as the template ref of the component's base-chart and pass the methods to
+ * defineExpose, so a ref to the chart can export its image and data.
+ * @returns {{
+ *   baseChartRef: import('vue').Ref<Object|null>,
+ *   exportChart: (format?: 'svg'|'png'|'clipboard', options?: import('../types.js').ChartExportOptions) => Promise<Blob>,
+ *   exportData: (format?: 'csv'|'json', options?: import('../types.js').ChartDataExportOptions) => Blob
+ * }} Template ref and export methods
+ * @example
+ * const { baseChartRef, exportChart, exportData } = useChartExport()
+ * defineExpose({ exportChart, exportData })
+ * // Parent: await chartRef.value.exportChart('png', { filename: 'sales' })
+ */
+export function useChartExport() {
+    const baseChartRef = ref(null)
+
+    // Export the chart image (rejects until the chart has mounted)
+    const exportChart = (format, options) => {
+        if (!baseChartRef.value) {
+            return Promise.reject(new Error('No chart found to export'))
+        }
+
+        return baseChartRef.value.exportChart(format, options)
+    }
+
+    // Export the visible chart data
+    const exportData = (format, options) => {
+        if (!baseChartRef.value) {
+            throw new Error('No chart found to export')
+        }
+
+        return baseChartRef.value.exportData(format, options)
+    }
+
+    return {
+        baseChartRef,
+        exportChart,
+        exportData
+    }
+}
@@ -0,0 +1,215 @@
+import { computed, ref } from 'vue'
+
+/**
+ * Supported interaction modes
+ * @type {string[]}
+ * @constant
+ */
+const INTERACTION_MODES = ['point', 'nearest', 'index', 'dataset']
+
+/**
+ * Euclidean distance between two points (internal utility)
+ * @private
+ * @param {import('../types.js').Point} a - First point
+ * @param {import('../types.js').Point} b - Second point
+ * @returns {number} Distance in SVG units
+ */
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y)
+}
+
+/**
+ * Check whether a position is over an element (internal utility)
+ * Elements with bounds (e.g. bars) are hit anywhere inside their rectangle,
+ * other elements within their radius plus a small tolerance
+ * @private
+ * @param {import('../types.js').InteractionElement} element - Element to test
+ * @param {import('../types.js').Point} position - Pointer position in SVG units
+ * @returns {boolean} True if the position is over the element
+ */
+function intersects(element, position) {
+    if (element.bounds) {
+        const { x, y, width, height } = element.bounds
+        return position.x >= x && position.x <= x + width && position.y >= y && position.y <= y + height
+    }
+
+    return distance(element, position) <= (element.radius || 0) + 2
+}
+
+/**
+ * Find the element closest to a position (internal utility)
+ * @private
+ * @param {import('../types.js').InteractionElement[]} elements - Candidate elements
+ * @param {import('../types.js').Point} position - Pointer position in SVG units
+ * @param {(element: import('../types.js').InteractionElement, position: import('../types.js').Point) => number} measure - Distance function
+ * @returns {import('../types.js').InteractionElement|null} Closest element or null if there are none
+ */
+function findClosest(elements, position, measure) {
+    let closest = null
+    let closestDistance = Infinity
+
+    elements.forEach(element => {
+        const elementDistance = measure(element, position)
+        if (elementDistance < closestDistance) {
+            closest = element
+            closestDistance = elementDistance
+        }
+    })
+
+    return closest
+}
+
+/**
+ * Composable for pointer interaction modes (point, nearest, index, dataset)
+ * Resolves which data elements are active for a pointer position, following
+ * plugins.tooltip.mode and plugins.tooltip.intersect
+ * @param {import('vue').ComputedRef<import('../types.js').ChartOptions>} config - Merged chart configuration ref
+ * @returns {{
+ *   mode: import('vue').ComputedRef<string>,
+ *   intersect: import('vue').ComputedRef<boolean>,
+ *   activeElements: import('vue').Ref<import('../types.js').InteractionElement[]>,
+ *   activeIndex: import('vue').ComputedRef<number|null>,
+ *   getRelativePosition: (event: MouseEvent) => import('../types.js').Point,
+ *   getElementsAtPosition: (position: import('../types.js').Point, elements: import('../types.js').InteractionElement[]) => import('../types.js').InteractionElement[],
+ *   setActiveElements: (elements: import('../types.js').InteractionElement[]) => void,
+ *   clearActiveElements: () => void,
+ *   isActive: (datasetIndex: number, index: number) => boolean
+ * }} Interaction state and helpers
+ * @example
+ * const { getRelativePosition, getElementsAtPosition, setActiveElements } = useChartInteraction(config)
+ * const position = getRelativePosition(event)
+ * setActiveElements(getElementsAtPosition(position, points))
+ */
+export function useChartInteraction(config) {
+    const activeElements = ref([])
+
+    /**
+     * Get the configured interaction mode, falling back to index
+     */
+    const mode = computed(() => {
+        const configured = config.value.plugins?.tooltip?.mode
+        return INTERACTION_MODES.includes(configured) ? configured : 'index'
+    })
+
+    /**
+     * Whether the pointer must be over an element to activate it
+     */
+    const intersect = computed(() => {
+        return config.value.plugins?.tooltip?.intersect === true
+    })
+
+    /**
+     * X index shared by all active elements (null if none, or they differ)
+     */
+    const activeIndex = computed(() => {
+        if (activeElements.value.length === 0) return null
+
+        const index = activeElements.value[0].index
+        return activeElements.value.every(element => element.index === index) ? index : null
+    })
+
+    /**
+     * Convert a pointer event to SVG user-space coordinates
+     * Uses the screen transform when available so viewBox scaling and letterboxing are accounted for
+     * @param {MouseEvent} event - Pointer event from an element inside the chart svg
+     * @returns {import('../types.js').Point} Position in SVG units
+     */
+    function getRelativePosition(event) {
+        const target = event.currentTarget
+        const svg = target?.ownerSVGElement || target
+
+        const matrix = svg?.getScreenCTM?.()
+        if (matrix?.inverse) {
+            const { a, b, c, d, e, f } = matrix.inverse()
+            return {
+                x: a * event.clientX + c * event.clientY + e,
+                y: b * event.clientX + d * event.clientY + f
+            }
+        }
+
+        const rect = svg?.getBoundingClientRect?.() || { left: 0, top: 0, width: 0, height: 0 }
+        const viewBox = svg?.viewBox?.baseVal
+        const scaleX = viewBox?.width && rect.width ? viewBox.width / rect.width : 1
+        const scaleY = viewBox?.height && rect.height ? viewBox.height / rect.height : 1
+
+        return {
+            x: (event.clientX - rect.left) * scaleX,
+            y: (event.clientY - rect.top) * scaleY
+        }
+    }
+
+    /**
+     * Resolve the elements activated by a pointer position for the current mode
+     * - point: every element under the pointer
+     * - nearest: the single closest element
+     * - index: every element sharing the X index of the closest element (by X distance unless intersecting)
+     * - dataset: every element of the closest element's dataset
+     * With intersect enabled nothing is returned unless the pointer is over an element
+     * @param {import('../types.js').Point} position - Pointer position in SVG units
+     * @param {import('../types.js').InteractionElement[]} elements - All hoverable elements
+     * @returns {import('../types.js').InteractionElement[]} Active elements ordered by dataset
+     */
+    function getElementsAtPosition(position, elements) {
+        const intersecting = elements.filter(element => intersects(element, position))
+
+        if (mode.value === 'point') return intersecting
+        if (intersect.value && intersecting.length === 0) return []
+
+        const candidates = intersect.value ? intersecting : elements
+        const anchor = mode.value === 'index' && !intersect.value
+            ? findClosest(candidates, position, (element, point) => Math.abs(element.x - point.x))
+            : findClosest(candidates, position, distance)
+
+        if (!anchor) return []
+
+        switch (mode.value) {
+            case 'index':
+                return elements
+                    .filter(element => element.index === anchor.index)
+                    .sort((a, b) => a.datasetIndex - b.datasetIndex)
+            case 'dataset':
+                return elements.filter(element => element.datasetIndex === anchor.datasetIndex)
+            default:
+                return [anchor]
+        }
+    }
+
+    /**
+     * Replace the active elements
+     * @param {import('../types.js').InteractionElement[]} elements - Elements to activate
+     */
+    function setActiveElements(elements) {
+        activeElements.value = elements
+    }
+
+    /**
+     * Clear all active elements
+     */
+    function clearActiveElements() {
+        activeElements.value = []
+    }
+
+    /**
+     * Check whether a data point is active
+     * @param {number} datasetIndex - Dataset index
+     * @param {number} index - Data point index
+     * @returns {boolean} True if the point is active
+     */
+    function isActive(datasetIndex, index) {
+        return activeElements.value.some(element => {
+            return element.datasetIndex === datasetIndex && element.index === index
+        })
+    }
+
+    return {
+        mode,
+        intersect,
+        activeElements,
+        activeIndex,
+        getRelativePosition,
+        getElementsAtPosition,
+        setActiveElements,
+        clearActiveElements,
+        isActive
+    }
+}
@@ -0,0 +1,89 @@
+import { describe, expect, it } from 'vitest'
+import { computed } from 'vue'
+import { useChartInteraction } from './useChartInteraction.js'
+
+// Two datasets of three points at x = 100, 200, 300
+const elements = [
+    { datasetIndex: 0, index: 0, x: 100, y: 50, radius: 4 },
+    { datasetIndex: 0, index: 1, x: 200, y: 80, radius: 4 },
+    { datasetIndex: 0, index: 2, x: 300, y: 60, radius: 4 },
+    { datasetIndex: 1, index: 0, x: 100, y: 150, radius: 4 },
+    { datasetIndex: 1, index: 1, x: 200, y: 120, radius: 4 },
+    { datasetIndex: 1, index: 2, x: 300, y: 160, radius: 4 }
+]
+
+const createInteraction = (tooltip = {}) => {
+    return useChartInteraction(computed(() => ({ plugins: { tooltip } })))
+}
+
+const describeElements = found => found.map(({ datasetIndex, index }) => [datasetIndex, index])
+
+describe('useChartInteraction', () => {
+    it('falls back to index mode without intersecting', () => {
+        const { mode, intersect } = createInteraction({ mode: 'unknown' })
+
+        expect(mode.value).toBe('index')
+        expect(intersect.value).toBe(false)
+    })
+
+    it('activates every element under the pointer in point mode', () => {
+        const { getElementsAtPosition } = createInteraction({ mode: 'point' })
+
+        expect(describeElements(getElementsAtPosition({ x: 203, y: 81 }, elements))).toEqual([[0, 1]])
+        expect(getElementsAtPosition({ x: 150, y: 100 }, elements)).toEqual([])
+    })
+
+    it('hits elements with bounds anywhere inside them', () => {
+        const { getElementsAtPosition } = createInteraction({ mode: 'point' })
+        const bar = { datasetIndex: 0, index: 0, x: 120, y: 100, bounds: { x: 100, y: 100, width: 40, height: 100 } }
+
+        expect(getElementsAtPosition({ x: 135, y: 190 }, [bar])).toEqual([bar])
+        expect(getElementsAtPosition({ x: 145, y: 190 }, [bar])).toEqual([])
+    })
+
+    it('activates the single closest element in nearest mode', () => {
+        const { getElementsAtPosition } = createInteraction({ mode: 'nearest' })
+
+        expect(describeElements(getElementsAtPosition({ x: 190, y: 130 }, elements))).toEqual([[1, 1]])
+    })
+
+    it('activates every element at the closest X index in index mode', () => {
+        const { getElementsAtPosition } = createInteraction({ mode: 'index' })
+
+        // Closer to the first dataset's point at x = 100 by distance, but nearer x = 300 horizontally
+        expect(describeElements(getElementsAtPosition({ x: 260, y: 50 }, elements))).toEqual([[0, 2], [1, 2]])
+    })
+
+    it('activates every element of the closest dataset in dataset mode', () => {
+        const { getElementsAtPosition } = createInteraction({ mode: 'dataset' })
+
+        expect(describeElements(getElementsAtPosition({ x: 250, y: 150 }, elements))).toEqual([[1, 0], [1, 1], [1, 2]])
+    })
+
+    it('requires the pointer to be over an element when intersecting', () => {
+        const { getElementsAtPosition } = createInteraction({ mode: 'index', intersect: true })
+
+        expect(getElementsAtPosition({ x: 260, y: 50 }, elements)).toEqual([])
+        expect(describeElements(getElementsAtPosition({ x: 101, y: 152 }, elements))).toEqual([[0, 0], [1, 0]])
+    })
+
+    it('returns nothing without elements', () => {
+        expect(createInteraction({ mode: 'nearest' }).getElementsAtPosition({ x: 0, y: 0 }, [])).toEqual([])
+    })
+
+    it('tracks the active elements and their shared index', () => {
+        const { activeIndex, isActive, setActiveElements, clearActiveElements } = createInteraction()
+
+        setActiveElements([elements[1], elements[4]])
+        expect(activeIndex.value).toBe(1)
+        expect(isActive(1, 1)).toBe(true)
+        expect(isActive(1, 2)).toBe(false)
+
+        setActiveElements([elements[0], elements[1]])
+        expect(activeIndex.value).toBeNull()
+
+        clearActiveElements()
+        expect(activeIndex.value).toBeNull()
+        expect(isActive(0, 0)).toBe(false)
+    })
+})
@@ -0,0 +1,94 @@
+import { computed, useId } from 'vue'
+import { describePattern, PATTERN_STYLES } from '@/utils/chartCalculations.js'
+import { addAlpha, getContrastColor } from '@/utils/colourUtils.js'
+
+// Tile size of the generated patterns in pixels
+const PATTERN_SIZE = 8
+
+/**
+ * Composable for SVG pattern fills that keep series distinguishable without colour
+ * Enabled with options.patterns: true assigns PATTERN_STYLES in order, and an array of
+ * styles sets the order explicitly. Each series gets a pattern of its own colour with
+ * marks in a contrasting shade; render the patterns with the ChartPatterns component.
+ * @param {import('vue').ComputedRef<import('../types.js').ChartOptions>} config - Chart configuration ref
+ * @param {import('vue').ComputedRef<string[]>} colors - Series colours, by stable series index (datasets, or pie slices)
+ * @returns {{
+ *   patternsEnabled: import('vue').ComputedRef<boolean>,
+ *   patterns: import('vue').ComputedRef<import('../types.js').ChartPattern[]>,
+ *   getPatternFill: (index: number, color: string) => string,
+ *   applyPatternFills: (items: Array<{backgroundColor: string}>) => Array<{backgroundColor: string, patternFill?: string}>
+ * }} Pattern definitions and fill resolvers
+ * @example
+ * const { patterns, getPatternFill } = useChartPatterns(config, computed(() => datasets.value.map(d => d.backgroundColor)))
+ * getPatternFill(0, '#3b82f6') // Returns: "url(#chart-pattern-v-0-0)" when patterns are enabled, else "#3b82f6"
+ */
+export function useChartPatterns(config, colors) {
+    const idPrefix = `chart-pattern-${useId()}`
+
+    /**
+     * Whether pattern fills are enabled
+     */
+    const patternsEnabled = computed(() => {
+        const option = config.value.patterns
+        return option === true || (Array.isArray(option) && option.length > 0)
+    })
+
+    /**
+     * Pattern styles in assignment order
+     */
+    const styles = computed(() => {
+        return Array.isArray(config.value.patterns) ? config.value.patterns : PATTERN_STYLES
+    })
+
+    /**
+     * Pattern definitions, one per series
+     */
+    const patterns = computed(() => {
+        if (!patternsEnabled.value) return []
+
+        return colors.value.map((color, index) => {
+            const style = styles.value[index % styles.value.length]
+
+            return {
+                id: `${idPrefix}-${index}`,
+                style,
+                color,
+                markColor: addAlpha(getContrastColor(color), 0.6),
+                size: PATTERN_SIZE,
+                ...describePattern(style, PATTERN_SIZE)
+            }
+        })
+    })
+
+    /**
+     * Get the fill for a series: its pattern when enabled, otherwise the given colour
+     * @param {number} index - Stable series index
+     * @param {string} color - Plain fill colour
+     * @returns {string} SVG fill value
+     */
+    function getPatternFill(index, color) {
+        const pattern = patterns.value[index]
+        return pattern ? `url(#${pattern.id})` : color
+    }
+
+    /**
+     * Add each item's pattern fill as patternFill, for legend swatches (items unchanged when disabled)
+     * @param {Array<{backgroundColor: string}>} items - Legend items by stable series index
+     * @returns {Array<{backgroundColor: string, patternFill?: string}>} Legend items
+     */
+    function applyPatternFills(items) {
+        if (!patternsEnabled.value) return items
+
+        return items.map((item, index) => ({
+            ...item,
+            patternFill: getPatternFill(index, item.backgroundColor)
+        }))
+    }
+
+    return {
+        patternsEnabled,
+        patterns,
+        getPatternFill,
+        applyPatternFills
+    }
+}
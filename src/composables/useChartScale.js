@@ -1,77 +1,447 @@
 import { computed } from 'vue'
-import { calculateNiceScale, calculateStackedValues, formatNumber, getDataRange } from '@/utils/chartCalculations.js'
+import {
+    applyTickCallback,
+    calculateLinearScale,
+    calculateLogScale,
+    calculateStackLayout,
+    formatTickLabel,
+    formatValue,
+    generateLinearTicks,
+    generateLogTicks,
+    getDataRange,
+    getDecimalPlaces,
+    truncateLabel
+} from '@/utils/chartCalculations.js'
+import { formatDateLabel, formatTimeTick, generateTimeTicks, parseDate } from '@/utils/dateUtils.js'
 
 /**
  * Composable for calculating chart scales and tick positions
- * Handles both regular and stacked chart scaling with automatic nice scale calculation
+ * Handles both regular and stacked chart scaling with automatic nice scale calculation,
+ * linear or logarithmic Y axes (one independent scale per Y axis ID), and category or time based X axes.
+ * With indexAxis 'y' (horizontal bars) the axes swap roles: categories run down the Y axis
+ * and values along the X axis, configured through scales.x
  * @param {import('vue').ComputedRef<import('../types.js').Dataset[]>} datasets - Chart datasets ref
- * @param {import('vue').ComputedRef<{stacked?: boolean}>} chartArea - Chart area dimensions with optional stacked flag
+ * @param {import('vue').ComputedRef<{
+ *   stacked?: boolean,
+ *   stackMode?: 'normal'|'percent',
+ *   labels?: Array<string|Date|number>,
+ *   locale?: string,
+ *   numberFormat?: Intl.NumberFormatOptions,
+ *   indexAxis?: 'x'|'y'
+ * }>} scaleOptions - Scale options: stacked flag and mode ('percent' scales each stack to 100%), labels (required for time scales and horizontal charts), locale/numberFormat for tick labels, and the index (category) axis
  * @param {import('vue').ComputedRef<import('../types.js').ScalesConfig>} [scaleConfig={}] - Scale configuration ref
  * @returns {{
  *   dataRange: import('vue').ComputedRef<import('../types.js').DataRange>,
  *   yScale: import('vue').ComputedRef<import('../types.js').NiceScale>,
- *   generateYAxisTicks: (area: import('../types.js').ChartArea) => Array<{value: number, gridLine: object, tickMark: object, label: object}>,
- *   generateXAxisTicks: (area: import('../types.js').ChartArea, labels: string[], options?: {flush?: boolean}) => Array<{value: string, gridLine: object, tickMark: object, label: object}>,
- *   valueToY: (value: number, area: import('../types.js').ChartArea) => number,
- *   valueToHeight: (value: number, area: import('../types.js').ChartArea) => number
+ *   yScales: import('vue').ComputedRef<Object<string, {isLog: boolean, dataRange: import('../types.js').DataRange, scale: import('../types.js').NiceScale}>>,
+ *   yAxes: import('vue').ComputedRef<Array<{id: string, position: 'left'|'right'}>>,
+ *   isHorizontal: import('vue').ComputedRef<boolean>,
+ *   isLogScale: import('vue').ComputedRef<boolean>,
+ *   isTimeScale: import('vue').ComputedRef<boolean>,
+ *   timeRange: import('vue').ComputedRef<import('../types.js').TimeRange|null>,
+ *   generateYAxisTicks: (area: import('../types.js').ChartArea, axisId?: string) => Array<{value: number, minor: boolean, gridLine: object, tickMark: object, label: object}>,
+ *   generateXAxisTicks: (area: import('../types.js').ChartArea, labels: Array<string|Date|number>, options?: {flush?: boolean}) => Array<{value: string|number, gridLine: object, tickMark: object, label: object}>,
+ *   indexToX: (index: number, area: import('../types.js').ChartArea, options?: {flush?: boolean}) => number,
+ *   formatXLabel: (label: string|Date|number) => string,
+ *   valueToY: (value: number, area: import('../types.js').ChartArea, axisId?: string) => number,
+ *   valueToX: (value: number, area: import('../types.js').ChartArea, axisId?: string) => number,
+ *   valueToHeight: (value: number, area: import('../types.js').ChartArea, axisId?: string) => number,
+ *   valueToLength: (value: number, area: import('../types.js').ChartArea, axisId?: string) => number,
+ *   showYAxisGrid: (yAxis: {id: string, position: 'left'|'right'}) => boolean
  * }} Object with scale calculations and tick generators
  * @example
- * const { yScale, generateYAxisTicks, valueToY } = useChartScale(datasets, chartArea, scales)
+ * const { yScale, generateYAxisTicks, valueToY } = useChartScale(datasets, computed(() => ({ labels: labels.value })), scales)
  */
-export function useChartScale(datasets, chartArea, scaleConfig = {}) {
+export function useChartScale(datasets, scaleOptions, scaleConfig = {}) {
     /**
      * Check if stacked mode is enabled
      */
     const isStacked = computed(() => {
-        return chartArea.value?.stacked === true
+        return scaleOptions.value?.stacked === true
     })
 
     /**
-     * Calculate data range for Y axis
+     * Check if stacks are normalised to 100%
      */
-    const dataRange = computed(() => {
+    const isPercentStack = computed(() => {
+        return isStacked.value && scaleOptions.value?.stackMode === 'percent'
+    })
+
+    /**
+     * Check if categories run along the Y axis (horizontal bars)
+     */
+    const isHorizontal = computed(() => {
+        return scaleOptions.value?.indexAxis === 'y'
+    })
+
+    /**
+     * ID of the primary value axis ('x' for horizontal charts, otherwise 'y')
+     */
+    const valueAxisId = computed(() => {
+        return isHorizontal.value ? 'x' : 'y'
+    })
+
+    /**
+     * Check if the X axis is a time scale
+     */
+    const isTimeScale = computed(() => {
+        return !isHorizontal.value && scaleConfig.value?.x?.type === 'time'
+    })
+
+    /**
+     * Parsed label timestamps and their extent for time scales
+     */
+    const timeRange = computed(() => {
+        if (!isTimeScale.value) return null
+
+        const labels = scaleOptions.value?.labels || []
+        const timestamps = labels.map(parseDate)
+        const valid = timestamps.filter(time => time !== null)
+
+        if (valid.length === 0) return null
+
+        const xConfig = scaleConfig.value.x
+        const min = parseDate(xConfig.min) ?? Math.min(...valid)
+        const max = parseDate(xConfig.max) ?? Math.max(...valid)
+
+        return {
+            min,
+            max,
+            timestamps,
+            hasTime: valid.some(time => time !== new Date(time).setHours(0, 0, 0, 0))
+        }
+    })
+
+    /**
+     * IDs of the value axes in use: always the primary axis ('y', or 'x' when horizontal),
+     * plus any configured scale on the same axis (keyed 'y…' or with axis: 'y') and any
+     * axis referenced by a dataset's yAxisID (xAxisID when horizontal)
+     */
+    const valueAxisIds = computed(() => {
+        const primary = valueAxisId.value
+        const categoryAxisId = isHorizontal.value ? 'y' : 'x'
+        const ids = new Set([primary])
+
+        Object.entries(scaleConfig.value || {}).forEach(([id, config]) => {
+            if (id !== categoryAxisId && (id.startsWith(primary) || config?.axis === primary)) {
+                ids.add(id)
+            }
+        })
+
+        datasets.value.forEach(dataset => {
+            const axisId = dataset[`${primary}AxisID`]
+            if (axisId) ids.add(axisId)
+        })
+
+        return [...ids]
+    })
+
+    /**
+     * Y value axes with their rendering position, for use with ChartAxis
+     * (empty on horizontal charts, whose Y axis shows categories)
+     */
+    const yAxes = computed(() => {
+        if (isHorizontal.value) return []
+
+        return valueAxisIds.value.map(id => ({
+            id,
+            position: scaleConfig.value?.[id]?.position === 'right' ? 'right' : 'left'
+        }))
+    })
+
+    /**
+     * Get the datasets plotted against a value axis
+     * @private
+     * @param {string} axisId - Value axis ID
+     * @returns {import('../types.js').Dataset[]} Datasets bound to the axis
+     */
+    const getAxisDatasets = (axisId) => {
+        const primary = valueAxisId.value
+        return datasets.value.filter(dataset => (dataset[`${primary}AxisID`] || primary) === axisId)
+    }
+
+    /**
+     * Get the cumulative value at the end of every stacked segment
+     * Positive segments end above zero and negative segments below it
+     * @private
+     * @param {import('../types.js').Dataset[]} axisDatasets - Datasets bound to one axis
+     * @returns {number[]} Segment end values (shares of 100 in percent mode)
+     */
+    const getStackEnds = (axisDatasets) => {
+        const { segments } = calculateStackLayout(axisDatasets, { percent: isPercentStack.value })
+        return segments.flat().map(segment => segment.end)
+    }
+
+    /**
+     * Calculate data range for a set of datasets
+     * @private
+     * @param {import('../types.js').Dataset[]} axisDatasets - Datasets bound to one axis
+     * @returns {import('../types.js').DataRange} Min and max values
+     */
+    const calculateDataRange = (axisDatasets) => {
         if (isStacked.value) {
-            // For stacked charts, calculate range based on stacked totals
-            const stackedValues = calculateStackedValues(datasets.value)
-            if (stackedValues.length === 0) {
+            // Stacked range spans the tallest positive and deepest negative stack
+            const stackEnds = getStackEnds(axisDatasets)
+            if (isPercentStack.value) {
+                // Shares span 0-100% each way (summed shares may be a rounding error away)
+                return {
+                    min: stackEnds.some(end => end < 0) ? -100 : 0,
+                    max: stackEnds.length === 0 || stackEnds.some(end => end > 0) ? 100 : 0
+                }
+            }
+            if (stackEnds.length === 0) {
                 return { min: 0, max: 10 }
             }
-            const min = Math.min(...stackedValues, 0)
-            const max = Math.max(...stackedValues)
+            const min = Math.min(...stackEnds, 0)
+            const max = Math.max(...stackEnds, 0)
             return { min, max }
         }
-        return getDataRange(datasets.value)
-    })
+        return getDataRange(axisDatasets)
+    }
 
     /**
-     * Calculate Y axis scale
+     * Calculate the scale for one value axis from its bound datasets and configuration
+     * @private
+     * @param {string} axisId - Value axis ID
+     * @returns {{isLog: boolean, dataRange: import('../types.js').DataRange, scale: import('../types.js').NiceScale, tickValues: Array<{value: number, minor: boolean}>}} Axis scale state
      */
-    const yScale = computed(() => {
-        const { min, max } = dataRange.value
-        const beginAtZero = scaleConfig.value?.y?.beginAtZero !== false
+    const calculateAxisScale = (axisId) => {
+        const axisDatasets = getAxisDatasets(axisId)
+        const dataRange = calculateDataRange(axisDatasets)
+        const { min, max } = dataRange
+        const yConfig = scaleConfig.value?.[axisId] || {}
+
+        if (yConfig.type === 'logarithmic') {
+            // Smallest positive value plotted is the lower bound of log scales
+            const values = isStacked.value
+                ? getStackEnds(axisDatasets)
+                : axisDatasets.flatMap(dataset => dataset.data)
+            const positives = values.filter(value => value > 0)
+            const positiveMin = positives.length > 0 ? Math.min(...positives) : Infinity
+
+            // Non-positive suggestedMin (e.g. 0, common on linear axes) can't be drawn on a log axis
+            const logScale = calculateLogScale(
+                yConfig.suggestedMin > 0 ? Math.min(positiveMin, yConfig.suggestedMin) : positiveMin,
+                Math.max(max, yConfig.suggestedMax ?? -Infinity)
+            )
+            const scale = {
+                ...logScale,
+                min: yConfig.min > 0 ? yConfig.min : logScale.min,
+                max: yConfig.max > 0 ? yConfig.max : logScale.max
+            }
+
+            return {
+                isLog: true,
+                dataRange,
+                scale,
+                tickValues: generateLogTicks(scale.min, scale.max)
+            }
+        }
 
-        return calculateNiceScale(
+        const beginAtZero = yConfig.beginAtZero !== false
+        const scale = calculateLinearScale(
             beginAtZero ? Math.min(0, min) : min,
-            max,
-            5
+            beginAtZero ? Math.max(0, max) : max,
+            {
+                min: yConfig.min,
+                max: yConfig.max,
+                suggestedMin: yConfig.suggestedMin,
+                suggestedMax: yConfig.suggestedMax,
+                stepSize: yConfig.ticks?.stepSize ?? (isPercentStack.value ? 25 : undefined),
+                maxTicksLimit: yConfig.ticks?.maxTicksLimit
+            }
         )
+
+        return {
+            isLog: false,
+            dataRange,
+            scale,
+            tickValues: generateLinearTicks(scale.min, scale.max, scale.step).map(value => ({ value, minor: false }))
+        }
+    }
+
+    /**
+     * Independent scale for every value axis, keyed by axis ID
+     */
+    const yScales = computed(() => {
+        return Object.fromEntries(valueAxisIds.value.map(id => [id, calculateAxisScale(id)]))
     })
 
     /**
-     * Generate Y axis ticks with positions for rendering
+     * Get the scale state for a value axis, falling back to the primary axis
+     * @private
+     * @param {string} axisId - Value axis ID
+     */
+    const getAxis = (axisId) => {
+        return yScales.value[axisId] || yScales.value[valueAxisId.value]
+    }
+
+    /**
+     * Calculate data range for the primary value axis
+     */
+    const dataRange = computed(() => getAxis(valueAxisId.value).dataRange)
+
+    /**
+     * Calculate primary value axis scale
+     */
+    const yScale = computed(() => getAxis(valueAxisId.value).scale)
+
+    /**
+     * Check if the primary value axis is a logarithmic scale
+     */
+    const isLogScale = computed(() => getAxis(valueAxisId.value).isLog)
+
+    /**
+     * Apply a scale's ticks.callback to a tick label (see applyTickCallback)
+     * @private
+     * @param {string} axisId - Scale ID
+     * @param {number|string} value - Tick value
+     * @param {number} index - Tick index
+     * @param {Array<number|string>} ticks - All tick values on the axis
+     * @param {string} defaultText - Label produced by the built-in formatter
+     * @returns {string} Tick label
+     */
+    const getTickText = (axisId, value, index, ticks, defaultText) => {
+        return applyTickCallback(scaleConfig.value?.[axisId]?.ticks?.callback, value, index, ticks, defaultText)
+    }
+
+    /**
+     * Format a value axis tick for display
+     * Uses the chart's numberFormat (merged with the scale's ticks.numberFormat), or a
+     * compact notation with enough decimals to tell neighbouring ticks apart.
+     * Percent stacks show shares as percentages (0-100 becomes 0%-100%)
+     * @private
+     * @param {number} value - Tick value
+     * @param {string} axisId - Value axis ID
+     * @param {{isLog: boolean, scale: import('../types.js').NiceScale}} axis - Axis scale state
+     * @returns {string} Tick label
+     */
+    const formatValueTick = (value, axisId, { isLog, scale }) => {
+        if (isPercentStack.value) {
+            return formatValue(value / 100, {
+                locale: scaleOptions.value?.locale,
+                numberFormat: {
+                    style: 'percent',
+                    maximumFractionDigits: getDecimalPlaces(scale.step),
+                    ...scaleConfig.value?.[axisId]?.ticks?.numberFormat
+                }
+            })
+        }
+
+        return formatTickLabel(value, {
+            locale: scaleOptions.value?.locale,
+            numberFormat: scaleOptions.value?.numberFormat,
+            ticksNumberFormat: scaleConfig.value?.[axisId]?.ticks?.numberFormat,
+            precision: isLog ? value : scale.step
+        })
+    }
+
+    /**
+     * Generate value axis ticks with positions for rendering
+     * Minor ticks (log scales only) have a grid line but no label.
+     * Vertical axes positioned on the right draw their tick marks and labels outside the right edge;
+     * on horizontal charts the value axis runs along the bottom.
+     * @private
      * @param {import('../types.js').ChartArea} area - Chart area dimensions
-     * @returns {Array<{value: number, gridLine: object, tickMark: object, label: object}>} Array of tick objects
+     * @param {string} axisId - Value axis ID
+     * @returns {Array<{value: number, minor: boolean, gridLine: object, tickMark: object, label: object}>} Array of tick objects
      */
-    const generateYAxisTicks = (area) => {
-        const { min, max, step } = yScale.value
-        const ticks = []
+    const generateValueAxisTicks = (area, axisId) => {
+        const axis = getAxis(axisId)
+        const { tickValues } = axis
 
-        for (let value = min; value <= max; value += step) {
-            const normalizedValue = (value - min) / (max - min)
-            const y = area.y + area.height - (normalizedValue * area.height)
+        const getLabelText = (value, minor, index) => {
+            return minor ? '' : getTickText(axisId, value, index, tickValues, formatValueTick(value, axisId, axis))
+        }
 
-            ticks.push({
+        if (isHorizontal.value) {
+            const bottom = area.y + area.height
+
+            return tickValues.map(({ value, minor }, index) => {
+                const x = valueToX(value, area, axisId)
+
+                return {
+                    value,
+                    minor,
+                    gridLine: {
+                        x1: x,
+                        y1: area.y,
+                        x2: x,
+                        y2: bottom
+                    },
+                    tickMark: {
+                        x1: x,
+                        y1: bottom,
+                        x2: x,
+                        y2: bottom + (minor ? 3 : 5)
+                    },
+                    label: {
+                        x: x,
+                        y: bottom + 20,
+                        text: getLabelText(value, minor, index),
+                        textAnchor: 'middle',
+                        dominantBaseline: 'hanging'
+                    }
+                }
+            })
+        }
+
+        const isRight = scaleConfig.value?.[axisId]?.position === 'right'
+        const edge = isRight ? area.x + area.width : area.x
+        const direction = isRight ? 1 : -1
+
+        return tickValues.map(({ value, minor }, index) => {
+            const y = valueToY(value, area, axisId)
+
+            return {
                 value,
+                minor,
+                gridLine: {
+                    x1: area.x,
+                    y1: y,
+                    x2: area.x + area.width,
+                    y2: y
+                },
+                tickMark: {
+                    x1: edge + direction * (minor ? 3 : 5),
+                    y1: y,
+                    x2: edge,
+                    y2: y
+                },
+                label: {
+                    x: edge + direction * 8,
+                    y: y,
+                    text: getLabelText(value, minor, index),
+                    textAnchor: isRight ? 'start' : 'end',
+                    dominantBaseline: 'middle'
+                }
+            }
+        })
+    }
+
+    /**
+     * Generate category ticks running down the Y axis (horizontal charts)
+     * Labels are centred on each category and truncated with an ellipsis to fit
+     * left of the chart area; truncated labels keep their full text in label.title
+     * @private
+     * @param {import('../types.js').ChartArea} area - Chart area dimensions
+     * @param {Array<string|number>} labels - Category labels
+     * @returns {Array<{value: string, gridLine: object, tickMark: object, label: object}>} Array of tick objects
+     */
+    const generateCategoryYAxisTicks = (area, labels) => {
+        const labelCount = labels.length
+        if (labelCount === 0) return []
+
+        const segment = area.height / labelCount
+        const maxLabelWidth = Math.max(area.x - 12, 0)
+
+        return labels.map((label, index) => {
+            const y = area.y + segment * (index + 0.5)
+            const text = getTickText('y', label, index, labels, String(label ?? ''))
+            const truncated = truncateLabel(text, maxLabelWidth)
+
+            return {
+                value: label,
                 gridLine: {
                     x1: area.x,
                     y1: y,
@@ -87,24 +457,47 @@ export function useChartScale(datasets, chartArea, scaleConfig = {}) {
                 label: {
                     x: area.x - 8,
                     y: y,
-                    text: formatNumber(value, 0),
+                    text: truncated,
+                    title: truncated === text ? undefined : text,
                     textAnchor: 'end',
                     dominantBaseline: 'middle'
                 }
-            })
+            }
+        })
+    }
+
+    /**
+     * Generate Y axis ticks with positions for rendering
+     * Value ticks on vertical charts, category ticks on horizontal charts
+     * @param {import('../types.js').ChartArea} area - Chart area dimensions
+     * @param {string} [axisId='y'] - Y axis ID
+     * @returns {Array<{value: number|string, minor?: boolean, gridLine: object, tickMark: object, label: object}>} Array of tick objects
+     */
+    const generateYAxisTicks = (area, axisId = 'y') => {
+        if (isHorizontal.value) {
+            return generateCategoryYAxisTicks(area, scaleOptions.value?.labels || [])
         }
 
-        return ticks
+        return generateValueAxisTicks(area, axisId)
     }
 
     /**
      * Generate X axis ticks with positions for rendering
+     * Category or time ticks on vertical charts, value ticks on horizontal charts
      * @param {import('../types.js').ChartArea} area - Chart area dimensions
      * @param {string[]} labels - Axis labels
      * @param {{flush?: boolean}} [options={}] - Options for tick positioning
-     * @returns {Array<{value: string, gridLine: object, tickMark: object, label: object}>} Array of tick objects
+     * @returns {Array<{value: string|number, gridLine: object, tickMark: object, label: object}>} Array of tick objects
      */
     const generateXAxisTicks = (area, labels, options = {}) => {
+        if (isHorizontal.value) {
+            return generateValueAxisTicks(area, 'x')
+        }
+
+        if (isTimeScale.value) {
+            return generateTimeAxisTicks(area)
+        }
+
         const ticks = []
         const labelCount = labels.length
         const isFlush = options.flush === true
@@ -153,7 +546,7 @@ export function useChartScale(datasets, chartArea, scaleConfig = {}) {
                 label: {
                     x: x,
                     y: y + 20,
-                    text: label,
+                    text: getTickText('x', label, index, labels, String(label ?? '')),
                     textAnchor: textAnchor,
                     dominantBaseline: 'hanging'
                 }
@@ -163,36 +556,197 @@ export function useChartScale(datasets, chartArea, scaleConfig = {}) {
         return ticks
     }
 
+    /**
+     * Generate calendar-aligned X axis ticks for time scales
+     * @private
+     * @param {import('../types.js').ChartArea} area - Chart area dimensions
+     * @returns {Array<{value: number, gridLine: object, tickMark: object, label: object}>} Array of tick objects
+     */
+    const generateTimeAxisTicks = (area) => {
+        const range = timeRange.value
+        if (!range) return []
+
+        const xConfig = scaleConfig.value.x
+        const { unit, ticks } = generateTimeTicks(range.min, range.max, {
+            maxTicks: xConfig.ticks?.maxTicksLimit || Math.max(2, Math.floor(area.width / 80)),
+            unit: xConfig.time?.unit,
+            stepSize: xConfig.time?.stepSize
+        })
+        const y = area.y + area.height
+
+        return ticks.map((time, index) => {
+            const x = timeToX(time, area)
+
+            return {
+                value: time,
+                gridLine: {
+                    x1: x,
+                    y1: area.y,
+                    x2: x,
+                    y2: y
+                },
+                tickMark: {
+                    x1: x,
+                    y1: y,
+                    x2: x,
+                    y2: y + 5
+                },
+                label: {
+                    x: x,
+                    y: y + 20,
+                    text: getTickText('x', time, index, ticks, formatTimeTick(time, unit, {
+                        locale: scaleOptions.value?.locale,
+                        displayFormats: xConfig.time?.displayFormats
+                    })),
+                    textAnchor: 'middle',
+                    dominantBaseline: 'hanging'
+                }
+            }
+        })
+    }
+
+    /**
+     * Convert a timestamp to X coordinate on a time scale
+     * @param {number} time - Millisecond timestamp
+     * @param {import('../types.js').ChartArea} area - Chart area dimensions
+     * @returns {number} X coordinate in pixels
+     */
+    const timeToX = (time, area) => {
+        const { min, max } = timeRange.value
+        if (max === min) return area.x + area.width / 2
+        return area.x + ((time - min) / (max - min)) * area.width
+    }
+
+    /**
+     * Convert a label index to X coordinate on chart
+     * Time scales position points proportionally to their timestamp,
+     * category scales space them evenly (flush to the edges or centred in segments)
+     * @param {number} index - Label index
+     * @param {import('../types.js').ChartArea} area - Chart area dimensions
+     * @param {{flush?: boolean}} [options={}] - Options for category positioning
+     * @returns {number} X coordinate in pixels
+     */
+    const indexToX = (index, area, options = {}) => {
+        if (isTimeScale.value && timeRange.value) {
+            const time = timeRange.value.timestamps[index]
+            return time === null || time === undefined ? NaN : timeToX(time, area)
+        }
+
+        const labelCount = scaleOptions.value?.labels?.length || 0
+        if (labelCount === 0) return area.x
+
+        if (options.flush === true) {
+            if (labelCount === 1) {
+                return area.x + area.width / 2
+            }
+            return area.x + (area.width / (labelCount - 1)) * index
+        }
+
+        return area.x + (area.width / labelCount) * (index + 0.5)
+    }
+
+    /**
+     * Format an X axis label for display in tooltips and accessible names
+     * @param {string|Date|number} label - Raw label value
+     * @returns {string} Display text
+     */
+    const formatXLabel = (label) => {
+        if (!isTimeScale.value) return String(label ?? '')
+
+        const time = parseDate(label)
+        if (time === null) return String(label ?? '')
+
+        return formatDateLabel(time, { includeTime: timeRange.value?.hasTime, locale: scaleOptions.value?.locale })
+    }
+
     /**
      * Convert data value to Y coordinate on chart
      * @param {number} value - Data value
      * @param {import('../types.js').ChartArea} area - Chart area dimensions
+     * @param {string} [axisId='y'] - Y axis the value is plotted against
      * @returns {number} Y coordinate in pixels
      */
-    const valueToY = (value, area) => {
-        const { min, max } = yScale.value
+    const valueToY = (value, area, axisId = 'y') => {
+        return area.y + area.height - valueToHeight(value, area, axisId)
+    }
+
+    /**
+     * Convert data value to X coordinate on horizontal charts
+     * @param {number} value - Data value
+     * @param {import('../types.js').ChartArea} area - Chart area dimensions
+     * @param {string} [axisId='x'] - Value axis the value is plotted against
+     * @returns {number} X coordinate in pixels
+     */
+    const valueToX = (value, area, axisId = 'x') => {
+        return area.x + valueToLength(value, area, axisId)
+    }
+
+    /**
+     * Convert data value to a length in pixels along the value axis, measured from the
+     * start of the axis (bottom of the chart area, or left edge on horizontal charts)
+     * On log scales values at or below zero map to the start of the axis; values outside an
+     * explicit min/max are clamped to the ends of the axis so nothing is drawn past the chart area
+     * @param {number} value - Data value
+     * @param {import('../types.js').ChartArea} area - Chart area dimensions
+     * @param {string} [axisId] - Value axis the value is plotted against (primary axis by default)
+     * @returns {number} Length in pixels
+     */
+    const valueToLength = (value, area, axisId = valueAxisId.value) => {
+        const { isLog, scale } = getAxis(axisId)
+        const { min, max } = scale
+        const axisLength = isHorizontal.value ? area.width : area.height
+
+        if (isLog) {
+            if (value <= 0) return 0
+            const normalizedValue = (Math.log10(value) - Math.log10(min)) / (Math.log10(max) - Math.log10(min))
+            return Math.min(Math.max(normalizedValue, 0), 1) * axisLength
+        }
+
         const normalizedValue = (value - min) / (max - min)
-        return area.y + area.height - (normalizedValue * area.height)
+        return Math.min(Math.max(normalizedValue, 0), 1) * axisLength
     }
 
     /**
-     * Convert data value to bar height in pixels
+     * Convert data value to bar height in pixels, measured from the bottom of the chart area
      * @param {number} value - Data value
      * @param {import('../types.js').ChartArea} area - Chart area dimensions
+     * @param {string} [axisId='y'] - Y axis the value is plotted against
      * @returns {number} Height in pixels
      */
-    const valueToHeight = (value, area) => {
-        const { min, max } = yScale.value
-        const normalizedValue = (value - min) / (max - min)
-        return normalizedValue * area.height
+    const valueToHeight = (value, area, axisId = 'y') => {
+        return valueToLength(value, area, axisId)
+    }
+
+    /**
+     * Check whether a Y axis draws grid lines across the chart area
+     * Secondary (right-hand) axes skip them unless grid.drawOnChartArea is set,
+     * so the chart isn't covered by two misaligned grids
+     * @param {{id: string, position: 'left'|'right'}} yAxis - Y axis from yAxes
+     * @returns {boolean} True if grid lines are drawn
+     */
+    const showYAxisGrid = (yAxis) => {
+        const grid = scaleConfig.value?.[yAxis.id]?.grid
+        if (grid?.display === false) return false
+        return grid?.drawOnChartArea ?? yAxis.position !== 'right'
     }
 
     return {
         dataRange,
         yScale,
+        yScales,
+        yAxes,
+        isHorizontal,
+        isLogScale,
+        isTimeScale,
+        timeRange,
         generateYAxisTicks,
         generateXAxisTicks,
+        indexToX,
+        formatXLabel,
         valueToY,
-        valueToHeight
+        valueToX,
+        valueToHeight,
+        valueToLength,
+        showYAxisGrid
     }
 }
@@ -0,0 +1,54 @@
+import { describe, expect, it } from 'vitest'
+import { computed } from 'vue'
+import { useChartScale } from './useChartScale.js'
+
+const area = { x: 50, y: 20, width: 400, height: 200 }
+
+const createScale = (data, scales, options = {}) => {
+    return useChartScale(
+        computed(() => [{ label: 'Sales', data }]),
+        computed(() => ({ labels: data.map((_, index) => `L${index}`), ...options })),
+        computed(() => scales)
+    )
+}
+
+describe('useChartScale', () => {
+    it('uses explicit Y bounds for the scale', () => {
+        const { yScale } = createScale([10, 60, 30], { y: { min: 20, max: 50 } })
+
+        expect(yScale.value).toMatchObject({ min: 20, max: 50 })
+    })
+
+    it('clamps values outside explicit bounds to the ends of the axis', () => {
+        const { valueToLength, valueToY } = createScale([10, 60, 30], { y: { min: 20, max: 50 } })
+
+        expect(valueToLength(10, area)).toBe(0)
+        expect(valueToLength(60, area)).toBe(area.height)
+        expect(valueToLength(35, area)).toBe(area.height / 2)
+        expect(valueToY(60, area)).toBe(area.y)
+        expect(valueToY(10, area)).toBe(area.y + area.height)
+    })
+
+    it('clamps on horizontal charts along the X axis', () => {
+        const { valueToLength, valueToX } = createScale([10, 60], { x: { min: 20, max: 50 } }, { indexAxis: 'y' })
+
+        expect(valueToLength(10, area)).toBe(0)
+        expect(valueToLength(60, area)).toBe(area.width)
+        expect(valueToX(60, area)).toBe(area.x + area.width)
+    })
+
+    it('clamps on logarithmic axes', () => {
+        const { valueToLength } = createScale([5, 5000], { y: { type: 'logarithmic', min: 10, max: 1000 } })
+
+        expect(valueToLength(5, area)).toBe(0)
+        expect(valueToLength(5000, area)).toBe(area.height)
+        expect(valueToLength(100, area)).toBeCloseTo(area.height / 2)
+        expect(valueToLength(0, area)).toBe(0)
+    })
+
+    it('ignores a non-positive suggestedMin on logarithmic axes', () => {
+        const { yScale } = createScale([5, 5000], { y: { type: 'logarithmic', suggestedMin: 0 } })
+
+        expect(yScale.value).toMatchObject({ min: 1, max: 10000 })
+    })
+})
@@ -0,0 +1,80 @@
+import { computed, hasInjectionContext, inject, isRef, provide, ref } from 'vue'
+import { getThemeStyle, resolveChartTheme } from '@/utils/themeUtils.js'
+import { useMediaQuery } from '@/composables/useMediaQuery.js'
+
+/**
+ * Injection key for the theme setting shared by charts in a component tree
+ * @type {import('vue').InjectionKey<import('vue').Ref<import('../types.js').ChartThemeSetting>>}
+ * @constant
+ */
+export const CHART_THEME_KEY = Symbol('chartTheme')
+
+/**
+ * Provide a theme setting to every chart in the calling component's subtree
+ * @param {import('vue').Ref<import('../types.js').ChartThemeSetting>|import('../types.js').ChartThemeSetting} theme - Preset name, 'auto', theme overrides, or a ref to switch at runtime
+ * @returns {import('vue').Ref<import('../types.js').ChartThemeSetting>} The provided setting ref
+ * @example
+ * const theme = provideChartTheme('auto')
+ * theme.value = 'dark'
+ */
+export function provideChartTheme(theme) {
+    const setting = isRef(theme) ? theme : ref(theme)
+    provide(CHART_THEME_KEY, setting)
+    return setting
+}
+
+/**
+ * Composable for the theme a chart draws with
+ * options.theme takes precedence over a provided theme (provideChartTheme or the theme plugin).
+ * Without either the theme is null: charts keep the CSS variable defaults and the default palette.
+ * @param {import('vue').Ref<import('../types.js').ChartOptions>} [options] - Chart options ref
+ * @returns {{
+ *   theme: import('vue').ComputedRef<import('../types.js').ChartTheme|null>,
+ *   isDark: import('vue').ComputedRef<boolean>,
+ *   palette: import('vue').ComputedRef<string[]|string|undefined>,
+ *   themeStyle: import('vue').ComputedRef<Object<string, string>>
+ * }} Resolved theme and derived values
+ * @example
+ * const { themeStyle, palette } = useChartTheme(optionsRef)
+ * generateColorPalette(3, optionsRef.value.colors || palette.value)
+ */
+export function useChartTheme(options) {
+    const provided = hasInjectionContext() ? inject(CHART_THEME_KEY, null) : null
+    const dark = useMediaQuery('(prefers-color-scheme: dark)')
+
+    /**
+     * Resolved theme, or null when none is set
+     */
+    const theme = computed(() => {
+        const setting = options?.value?.theme ?? provided?.value
+        return setting ? resolveChartTheme(setting, dark.value) : null
+    })
+
+    /**
+     * Whether the resolved theme is dark
+     */
+    const isDark = computed(() => {
+        return theme.value?.colorScheme === 'dark'
+    })
+
+    /**
+     * Theme palette (undefined without a theme)
+     */
+    const palette = computed(() => {
+        return theme.value?.palette
+    })
+
+    /**
+     * Inline style applying the theme to a chart container
+     */
+    const themeStyle = computed(() => {
+        return theme.value ? getThemeStyle(theme.value) : {}
+    })
+
+    return {
+        theme,
+        isDark,
+        palette,
+        themeStyle
+    }
+}
@@ -0,0 +1,91 @@
+import { computed, ref } from 'vue'
+
+/**
+ * Composable for managing tooltip state and applying tooltip plugin options
+ * Builds tooltip content from hovered data items, running the configured
+ * callbacks.title and callbacks.label before it is displayed
+ * @param {import('vue').ComputedRef<import('../types.js').ChartOptions>} config - Merged chart configuration ref
+ * @returns {{
+ *   tooltip: import('vue').Ref<import('../types.js').TooltipState>,
+ *   tooltipOptions: import('vue').ComputedRef<import('../types.js').TooltipConfig>,
+ *   isInteractive: import('vue').ComputedRef<boolean>,
+ *   showTooltip: (event: MouseEvent, content: {title: string, items: import('../types.js').TooltipItem[]}, extra?: Object) => void,
+ *   hideTooltip: () => void
+ * }} Tooltip state and show/hide handlers
+ * @example
+ * const { tooltip, showTooltip, hideTooltip } = useChartTooltip(config)
+ * showTooltip(event, { title: 'March', items: [{ label: 'Sales', value: '42', raw: 42, color: '#3b82f6' }] })
+ */
+export function useChartTooltip(config) {
+    const tooltip = ref({
+        visible: false,
+        data: null,
+        x: 0,
+        y: 0
+    })
+
+    /**
+     * Get tooltip plugin options
+     */
+    const tooltipOptions = computed(() => {
+        return config.value.plugins?.tooltip || {}
+    })
+
+    /**
+     * Whether tooltips (and hover interactions) are enabled
+     */
+    const isInteractive = computed(() => {
+        return tooltipOptions.value.enabled !== false
+    })
+
+    /**
+     * Show the tooltip next to the pointer
+     * callbacks.title receives all items and replaces the title;
+     * callbacks.label receives each item and replaces its "label: value" line
+     * @param {MouseEvent} event - Pointer event used for positioning
+     * @param {{title: string, items: import('../types.js').TooltipItem[]}} content - Default title and items
+     * @param {Object} [extra={}] - Additional context passed through to the tooltip slot
+     */
+    function showTooltip(event, { title, items }, extra = {}) {
+        if (!isInteractive.value) return
+
+        const callbacks = tooltipOptions.value.callbacks || {}
+
+        const resolvedItems = items.map(item => {
+            if (typeof callbacks.label !== 'function') return item
+
+            const text = callbacks.label(item)
+            return text === null || text === undefined ? item : { ...item, text: String(text) }
+        })
+
+        const resolvedTitle = typeof callbacks.title === 'function'
+            ? callbacks.title(items)
+            : title
+
+        tooltip.value = {
+            visible: true,
+            x: event.clientX + 10,
+            y: event.clientY - 10,
+            data: {
+                ...extra,
+                title: resolvedTitle,
+                items: resolvedItems
+            }
+        }
+    }
+
+    /**
+     * Hide the tooltip
+     */
+    function hideTooltip() {
+        tooltip.value.visible = false
+    }
+
+    return {
+        tooltip,
+        tooltipOptions,
+        isInteractive,
+        showTooltip,
+        hideTooltip
+    }
+}
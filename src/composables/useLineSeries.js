@@ -0,0 +1,273 @@
+import { describeAreaPath, describeLinePath, isMissingValue, splitAtGaps } from '@/utils/chartCalculations.js'
+
+/**
+ * Composable for drawing line datasets on category axes and hovering over them
+ * Shared by LineChart and ComboChart: point positions (animated between updates), line and
+ * area paths broken at missing values, the entry reveal, and tooltip handling for the
+ * configured interaction mode.
+ * @param {{
+ *   config: import('vue').ComputedRef<import('../types.js').ChartOptions>,
+ *   labels: import('vue').ComputedRef<Array<string|Date|number>>,
+ *   visibleDatasets: import('vue').ComputedRef<import('../types.js').Dataset[]>,
+ *   lineDatasets: import('vue').ComputedRef<Array<{dataset: import('../types.js').Dataset, datasetIndex: number}>>,
+ *   getX: (index: number, chartArea: import('../types.js').ChartArea) => number,
+ *   valueToY: (value: number, chartArea: import('../types.js').ChartArea, axisId?: string) => number,
+ *   formatXLabel: (label: string|Date|number) => string,
+ *   formatValue: (value: number) => string,
+ *   animation: {progress: import('vue').Ref<number>, tween: Function},
+ *   interaction: ReturnType<typeof import('./useChartInteraction.js').useChartInteraction>,
+ *   tooltip: ReturnType<typeof import('./useChartTooltip.js').useChartTooltip>,
+ *   getExtraElements?: (chartArea: import('../types.js').ChartArea) => import('../types.js').InteractionElement[],
+ *   getItemColor?: (dataset: import('../types.js').Dataset) => string
+ * }} params - Chart state and helpers
+ * @param {import('vue').ComputedRef<Array<{dataset: import('../types.js').Dataset, datasetIndex: number}>>} params.lineDatasets - Datasets drawn as lines, with their index among the visible datasets
+ * @param {(index: number, chartArea: import('../types.js').ChartArea) => number} params.getX - X position of a category
+ * @param {{progress: import('vue').Ref<number>, tween: Function}} params.animation - Entry progress and tween from useChartAnimation
+ * @param {(chartArea: import('../types.js').ChartArea) => import('../types.js').InteractionElement[]} [params.getExtraElements] - Other hoverable elements (e.g. bars) to include with the line points
+ * @param {(dataset: import('../types.js').Dataset) => string} [params.getItemColor] - Tooltip colour for a dataset (default: its border colour)
+ * @returns {{
+ *   getLinePoints: (dataset: import('../types.js').Dataset, chartArea: import('../types.js').ChartArea) => Array<{x: number, y: number, value: number, index: number}>,
+ *   getRevealRect: (chartArea: import('../types.js').ChartArea) => {x: number, y: number, width: number, height: number},
+ *   getLinePath: (dataset: import('../types.js').Dataset, chartArea: import('../types.js').ChartArea) => string,
+ *   getAreaPath: (dataset: import('../types.js').Dataset, chartArea: import('../types.js').ChartArea) => string,
+ *   getPointRadius: (dataset: import('../types.js').Dataset) => number,
+ *   getPointColor: (dataset: import('../types.js').Dataset) => string,
+ *   handleMouseMove: (event: MouseEvent, chartArea: import('../types.js').ChartArea) => void,
+ *   handleMouseLeave: () => void
+ * }} Line geometry and hover handlers
+ * @example
+ * const { getLinePath, getLinePoints, handleMouseMove } = useLineSeries({
+ *     config, labels, visibleDatasets, lineDatasets, getX, valueToY, formatXLabel, formatValue,
+ *     animation: { progress, tween }, interaction, tooltip
+ * })
+ */
+export function useLineSeries({
+    config,
+    labels,
+    visibleDatasets,
+    lineDatasets,
+    getX,
+    valueToY,
+    formatXLabel,
+    formatValue,
+    animation,
+    interaction,
+    tooltip,
+    getExtraElements = () => [],
+    getItemColor = dataset => dataset.borderColor
+}) {
+    /**
+     * Get a dataset's points with coordinates (missing values are skipped, each point keeps its data index)
+     * Points animate from their previous positions, matched by dataset and label
+     * @param {import('../types.js').Dataset} dataset - Line dataset
+     * @param {import('../types.js').ChartArea} chartArea - Chart area dimensions
+     * @returns {Array<{x: number, y: number, value: number, index: number}>} Points in data order
+     */
+    const getLinePoints = (dataset, chartArea) => {
+        return dataset.data.flatMap((value, index) => {
+            if (isMissingValue(value)) return []
+
+            const position = animation.tween(`${dataset.label}|${labels.value[index] ?? index}`, {
+                x: getX(index, chartArea),
+                y: valueToY(value, chartArea, dataset.yAxisID)
+            })
+
+            return [{
+                ...position,
+                value,
+                index
+            }]
+        })
+    }
+
+    /**
+     * Get the clip rectangle revealing the lines during the entry animation
+     * (padded so points on the edges aren't cut off)
+     * @param {import('../types.js').ChartArea} chartArea - Chart area dimensions
+     * @returns {{x: number, y: number, width: number, height: number}} Clip rectangle
+     */
+    const getRevealRect = (chartArea) => {
+        const padding = 10
+
+        return {
+            x: chartArea.x - padding,
+            y: chartArea.y - padding,
+            width: (chartArea.width + padding * 2) * animation.progress.value,
+            height: chartArea.height + padding * 2
+        }
+    }
+
+    /**
+     * Get the curve tension for a dataset (0 draws straight lines)
+     * @private
+     * @param {import('../types.js').Dataset} dataset - Line dataset
+     * @returns {number} Tension
+     */
+    const getLineTension = (dataset) => {
+        return dataset.smooth !== false ? dataset.tension || 0.4 : 0
+    }
+
+    /**
+     * Split a line into continuous runs, breaking at missing values unless spanGaps is set
+     * @private
+     * @param {import('../types.js').Dataset} dataset - Line dataset
+     * @param {import('../types.js').ChartArea} chartArea - Chart area dimensions
+     * @returns {Array<Array<{x: number, y: number}>>} Runs of points
+     */
+    const getLineSegments = (dataset, chartArea) => {
+        const spanGaps = dataset.spanGaps ?? config.value.spanGaps ?? false
+        return splitAtGaps(getLinePoints(dataset, chartArea), spanGaps)
+    }
+
+    /**
+     * Generate the line path
+     * @param {import('../types.js').Dataset} dataset - Line dataset
+     * @param {import('../types.js').ChartArea} chartArea - Chart area dimensions
+     * @returns {string} SVG path data
+     */
+    const getLinePath = (dataset, chartArea) => {
+        return getLineSegments(dataset, chartArea)
+            .map(points => describeLinePath(points, getLineTension(dataset)))
+            .join(' ')
+    }
+
+    /**
+     * Generate the area fill path, closing each run at the bottom so the fill breaks with the line
+     * @param {import('../types.js').Dataset} dataset - Line dataset
+     * @param {import('../types.js').ChartArea} chartArea - Chart area dimensions
+     * @returns {string} SVG path data
+     */
+    const getAreaPath = (dataset, chartArea) => {
+        const baseY = chartArea.y + chartArea.height
+
+        return getLineSegments(dataset, chartArea)
+            .map(points => describeAreaPath(points, baseY, getLineTension(dataset)))
+            .join(' ')
+    }
+
+    /**
+     * Get a dataset's point radius
+     * @param {import('../types.js').Dataset} dataset - Line dataset
+     * @returns {number} Radius in pixels
+     */
+    const getPointRadius = (dataset) => {
+        return dataset.pointRadius || 4
+    }
+
+    /**
+     * Get a dataset's point fill colour
+     * @param {import('../types.js').Dataset} dataset - Line dataset
+     * @returns {string} CSS colour
+     */
+    const getPointColor = (dataset) => {
+        return dataset.pointBackgroundColor || dataset.backgroundColor || dataset.borderColor
+    }
+
+    /**
+     * Get every line point, and any extra elements, as hoverable elements
+     * @private
+     * @param {import('../types.js').ChartArea} chartArea - Chart area dimensions
+     * @returns {import('../types.js').InteractionElement[]} Hoverable elements
+     */
+    const getInteractionElements = (chartArea) => {
+        const points = lineDatasets.value.flatMap(({ dataset, datasetIndex }) => {
+            return getLinePoints(dataset, chartArea).map(point => ({
+                ...point,
+                radius: getPointRadius(dataset),
+                datasetIndex
+            }))
+        })
+
+        return [...getExtraElements(chartArea), ...points]
+    }
+
+    /**
+     * Check whether a position lies within the plot area
+     * @private
+     * @param {import('../types.js').Point} position - Position in SVG units
+     * @param {import('../types.js').ChartArea} chartArea - Chart area dimensions
+     * @returns {boolean} True if inside the plot area
+     */
+    const isInChartArea = (position, chartArea) => {
+        return position.x >= chartArea.x && position.x <= chartArea.x + chartArea.width &&
+            position.y >= chartArea.y && position.y <= chartArea.y + chartArea.height
+    }
+
+    /**
+     * Build tooltip content for the active elements
+     * Dataset mode lists one dataset's values; other modes list each dataset's value at the hovered index
+     * @private
+     * @param {import('../types.js').InteractionElement[]} elements - Active elements
+     * @returns {{title: string, items: import('../types.js').TooltipItem[]}} Tooltip content
+     */
+    const getTooltipContent = (elements) => {
+        const toItem = (element, label) => {
+            const dataset = visibleDatasets.value[element.datasetIndex]
+            return {
+                label,
+                value: formatValue(element.value),
+                raw: element.value,
+                color: getItemColor(dataset),
+                dataset,
+                datasetIndex: element.datasetIndex,
+                dataIndex: element.index
+            }
+        }
+
+        if (interaction.mode.value === 'dataset') {
+            return {
+                title: visibleDatasets.value[elements[0].datasetIndex].label,
+                items: elements.map(element => toItem(element, formatXLabel(labels.value[element.index])))
+            }
+        }
+
+        return {
+            title: formatXLabel(labels.value[elements[0].index]),
+            items: elements.map(element => toItem(element, visibleDatasets.value[element.datasetIndex].label))
+        }
+    }
+
+    /**
+     * Clear the active elements and hide the tooltip
+     */
+    const handleMouseLeave = () => {
+        interaction.clearActiveElements()
+        tooltip.hideTooltip()
+    }
+
+    /**
+     * Activate the elements under the pointer and show their tooltip
+     * @param {MouseEvent} event - Pointer event
+     * @param {import('../types.js').ChartArea} chartArea - Chart area dimensions
+     */
+    const handleMouseMove = (event, chartArea) => {
+        if (!tooltip.isInteractive.value) return
+
+        const position = interaction.getRelativePosition(event)
+        const elements = interaction.intersect.value || isInChartArea(position, chartArea)
+            ? interaction.getElementsAtPosition(position, getInteractionElements(chartArea))
+            : []
+
+        if (elements.length === 0) {
+            handleMouseLeave()
+            return
+        }
+
+        interaction.setActiveElements(elements)
+        tooltip.showTooltip(event, getTooltipContent(elements), {
+            label: labels.value[elements[0].index],
+            dataIndex: elements[0].index
+        })
+    }
+
+    return {
+        getLinePoints,
+        getRevealRect,
+        getLinePath,
+        getAreaPath,
+        getPointRadius,
+        getPointColor,
+        handleMouseMove,
+        handleMouseLeave
+    }
+}
@@ -0,0 +1,29 @@
+import { ref } from 'vue'
+
+// Shared state per media query, each with a single change listener
+const queries = new Map()
+
+/**
+ * Composable tracking whether a CSS media query matches
+ * Every caller of the same query shares one ref; outside the browser it stays false
+ * @param {string} query - Media query, e.g. '(prefers-reduced-motion: reduce)'
+ * @returns {import('vue').Ref<boolean>} Whether the query matches
+ * @example
+ * const prefersDark = useMediaQuery('(prefers-color-scheme: dark)')
+ */
+export function useMediaQuery(query) {
+    if (queries.has(query)) return queries.get(query)
+
+    const matches = ref(false)
+    queries.set(query, matches)
+
+    if (typeof window !== 'undefined' && window.matchMedia) {
+        const mediaQuery = window.matchMedia(query)
+        matches.value = mediaQuery.matches
+        mediaQuery.addEventListener?.('change', (event) => {
+            matches.value = event.matches
+        })
+    }
+
+    return matches
+}
@@ -0,0 +1,213 @@
+import { computed } from 'vue'
+import {
+    applyTickCallback,
+    calculateLinearScale,
+    formatTickLabel,
+    generateLinearTicks,
+    isMissingValue
+} from '@/utils/chartCalculations.js'
+
+/**
+ * Composable for linear X and Y scales over point data ({x, y} pairs)
+ * Used by scatter and bubble charts, where both axes are numeric and no labels are involved.
+ * Each axis honours min, max, suggestedMin, suggestedMax, beginAtZero and
+ * ticks.stepSize / maxTicksLimit / callback / numberFormat from its scale configuration.
+ * @param {import('vue').ComputedRef<import('../types.js').Dataset[]>} datasets - Datasets whose data are points
+ * @param {import('vue').ComputedRef<{
+ *   locale?: string,
+ *   numberFormat?: Intl.NumberFormatOptions
+ * }>} scaleOptions - Locale and number format for tick labels
+ * @param {import('vue').ComputedRef<import('../types.js').ScalesConfig>} [scaleConfig={}] - Scale configuration ref
+ * @returns {{
+ *   xScale: import('vue').ComputedRef<import('../types.js').NiceScale>,
+ *   yScale: import('vue').ComputedRef<import('../types.js').NiceScale>,
+ *   generateXAxisTicks: (area: import('../types.js').ChartArea) => Array<{value: number, gridLine: object, tickMark: object, label: object}>,
+ *   generateYAxisTicks: (area: import('../types.js').ChartArea) => Array<{value: number, gridLine: object, tickMark: object, label: object}>,
+ *   valueToX: (value: number, area: import('../types.js').ChartArea) => number,
+ *   valueToY: (value: number, area: import('../types.js').ChartArea) => number
+ * }} Scales, tick generators and coordinate converters
+ * @example
+ * const { generateXAxisTicks, valueToX, valueToY } = useXYScale(visibleDatasets, computed(() => ({ locale: 'en-GB' })), scales)
+ */
+export function useXYScale(datasets, scaleOptions, scaleConfig = {}) {
+    /**
+     * Get the range of one coordinate across all points, ignoring missing points
+     * @private
+     * @param {'x'|'y'} key - Point coordinate
+     * @returns {import('../types.js').DataRange} Min and max values (Infinity/-Infinity if there are none)
+     */
+    const getPointRange = (key) => {
+        const values = datasets.value
+            .flatMap(dataset => dataset.data)
+            .map(point => point?.[key])
+            .filter(value => !isMissingValue(value))
+
+        return {
+            min: Math.min(...values),
+            max: Math.max(...values)
+        }
+    }
+
+    /**
+     * Calculate the linear scale for one axis
+     * @private
+     * @param {'x'|'y'} axisId - Axis ID
+     * @returns {import('../types.js').NiceScale} Axis scale
+     */
+    const calculateAxisScale = (axisId) => {
+        const { min, max } = getPointRange(axisId)
+        const axisConfig = scaleConfig.value?.[axisId] || {}
+        const beginAtZero = axisConfig.beginAtZero === true
+
+        return calculateLinearScale(
+            beginAtZero ? Math.min(0, min) : min,
+            beginAtZero ? Math.max(0, max) : max,
+            {
+                min: axisConfig.min,
+                max: axisConfig.max,
+                suggestedMin: axisConfig.suggestedMin,
+                suggestedMax: axisConfig.suggestedMax,
+                stepSize: axisConfig.ticks?.stepSize,
+                maxTicksLimit: axisConfig.ticks?.maxTicksLimit
+            }
+        )
+    }
+
+    /**
+     * Horizontal (X) axis scale
+     */
+    const xScale = computed(() => calculateAxisScale('x'))
+
+    /**
+     * Vertical (Y) axis scale
+     */
+    const yScale = computed(() => calculateAxisScale('y'))
+
+    /**
+     * Format a tick value, applying the axis' ticks.callback if set
+     * @private
+     * @param {'x'|'y'} axisId - Axis ID
+     * @param {number} value - Tick value
+     * @param {number} index - Tick index
+     * @param {number[]} ticks - All tick values on the axis
+     * @returns {string} Tick label ('' hides the label)
+     */
+    const formatTick = (axisId, value, index, ticks) => {
+        const axisConfig = scaleConfig.value?.[axisId] || {}
+        const scale = axisId === 'x' ? xScale.value : yScale.value
+        const text = formatTickLabel(value, {
+            locale: scaleOptions.value?.locale,
+            numberFormat: scaleOptions.value?.numberFormat,
+            ticksNumberFormat: axisConfig.ticks?.numberFormat,
+            precision: scale.step
+        })
+
+        return applyTickCallback(axisConfig.ticks?.callback, value, index, ticks, text)
+    }
+
+    /**
+     * Convert an X value to a coordinate within the chart area
+     * @param {number} value - X value
+     * @param {import('../types.js').ChartArea} area - Chart area dimensions
+     * @returns {number} X coordinate in pixels
+     */
+    const valueToX = (value, area) => {
+        const { min, max } = xScale.value
+        return area.x + ((value - min) / (max - min)) * area.width
+    }
+
+    /**
+     * Convert a Y value to a coordinate within the chart area
+     * @param {number} value - Y value
+     * @param {import('../types.js').ChartArea} area - Chart area dimensions
+     * @returns {number} Y coordinate in pixels
+     */
+    const valueToY = (value, area) => {
+        const { min, max } = yScale.value
+        return area.y + area.height - ((value - min) / (max - min)) * area.height
+    }
+
+    /**
+     * Generate X axis ticks along the bottom of the chart area
+     * @param {import('../types.js').ChartArea} area - Chart area dimensions
+     * @returns {Array<{value: number, gridLine: object, tickMark: object, label: object}>} Array of tick objects
+     */
+    const generateXAxisTicks = (area) => {
+        const { min, max, step } = xScale.value
+        const values = generateLinearTicks(min, max, step)
+        const bottom = area.y + area.height
+
+        return values.map((value, index) => {
+            const x = valueToX(value, area)
+
+            return {
+                value,
+                gridLine: {
+                    x1: x,
+                    y1: area.y,
+                    x2: x,
+                    y2: bottom
+                },
+                tickMark: {
+                    x1: x,
+                    y1: bottom,
+                    x2: x,
+                    y2: bottom + 5
+                },
+                label: {
+                    x: x,
+                    y: bottom + 20,
+                    text: formatTick('x', value, index, values),
+                    textAnchor: 'middle',
+                    dominantBaseline: 'hanging'
+                }
+            }
+        })
+    }
+
+    /**
+     * Generate Y axis ticks along the left of the chart area
+     * @param {import('../types.js').ChartArea} area - Chart area dimensions
+     * @returns {Array<{value: number, gridLine: object, tickMark: object, label: object}>} Array of tick objects
+     */
+    const generateYAxisTicks = (area) => {
+        const { min, max, step } = yScale.value
+        const values = generateLinearTicks(min, max, step)
+
+        return values.map((value, index) => {
+            const y = valueToY(value, area)
+
+            return {
+                value,
+                gridLine: {
+                    x1: area.x,
+                    y1: y,
+                    x2: area.x + area.width,
+                    y2: y
+                },
+                tickMark: {
+                    x1: area.x - 5,
+                    y1: y,
+                    x2: area.x,
+                    y2: y
+                },
+                label: {
+                    x: area.x - 8,
+                    y: y,
+                    text: formatTick('y', value, index, values),
+                    textAnchor: 'end',
+                    dominantBaseline: 'middle'
+                }
+            }
+        })
+    }
+
+    return {
+        xScale,
+        yScale,
+        generateXAxisTicks,
+        generateYAxisTicks,
+        valueToX,
+        valueToY
+    }
+}
@@ -4,26 +4,51 @@ export { default as BarChart } from './components/charts/BarChart.vue'
 export { default as LineChart } from './components/charts/LineChart.vue'
 export { default as PieChart } from './components/charts/PieChart.vue'
 export { default as StackedChart } from './components/charts/StackedChart.vue'
+export { default as ScatterChart } from './components/charts/ScatterChart.vue'
+export { default as BubbleChart } from './components/charts/BubbleChart.vue'
+export { default as ComboChart } from './components/charts/ComboChart.vue'
+export { default as RadarChart } from './components/charts/RadarChart.vue'
+export { default as HeatmapChart } from './components/charts/HeatmapChart.vue'
 
 // Shared components
 export { default as ChartLegend } from './components/shared/ChartLegend.vue'
 export { default as ChartTooltip } from './components/shared/ChartTooltip.vue'
 export { default as ChartAxis } from './components/shared/ChartAxis.vue'
 export { default as ChartLoadingSpinner } from './components/shared/ChartLoadingSpinner.vue'
+export { default as ChartPatterns } from './components/shared/ChartPatterns.vue'
+export { default as ChartExportMenu } from './components/shared/ChartExportMenu.vue'
+export { default as ChartDataTable } from './components/shared/ChartDataTable.vue'
 
 // Composable
 export { useChartResize } from './composables/useChartResize.js'
 export { useChartData } from './composables/useChartData.js'
-export { useChartConfig } from './composables/useChartConfig.js'
+export { useChartConfig, CHART_DEFAULTS_KEY } from './composables/useChartConfig.js'
 export { useChartScale } from './composables/useChartScale.js'
+export { useChartTooltip } from './composables/useChartTooltip.js'
+export { useChartInteraction } from './composables/useChartInteraction.js'
+export { useXYScale } from './composables/useXYScale.js'
+export { useChartPatterns } from './composables/useChartPatterns.js'
+export { useChartTheme, provideChartTheme, CHART_THEME_KEY } from './composables/useChartTheme.js'
+export { useChartAnimation } from './composables/useChartAnimation.js'
+export { useMediaQuery } from './composables/useMediaQuery.js'
+export { useChartExport } from './composables/useChartExport.js'
 
 // Utilities
 export * from './utils/validators.js'
 export * from './utils/colourUtils.js'
 export * from './utils/chartCalculations.js'
+export * from './utils/dateUtils.js'
+export * from './utils/themeUtils.js'
+export * from './utils/exportUtils.js'
 
 // Styles
 import './styles/main.css'
 
+// Vue plugin for app-wide defaults
+export { createVueCharts } from './plugins/vueCharts.js'
+
 // FontAwesome plugin
 export { default as installFontAwesome } from './plugins/fontawesome.js'
+
+// Theme plugin
+export { default as installChartTheme } from './plugins/theme.js'
@@ -0,0 +1,14 @@
+import { isRef, ref } from 'vue'
+import { CHART_THEME_KEY } from '@/composables/useChartTheme.js'
+
+/**
+ * Install the chart theme plugin
+ * Provides a theme to every chart in the app; pass a ref to switch themes at runtime
+ * @param {Object} app - Vue app instance
+ * @param {Object} [options={}] - Plugin options
+ * @param {import('vue').Ref<import('../types.js').ChartThemeSetting>|import('../types.js').ChartThemeSetting} [options.theme='auto'] - Preset name, 'auto' (follows prefers-color-scheme) or theme overrides
+ */
+export default function installChartTheme(app, options = {}) {
+    const theme = options.theme ?? 'auto'
+    app.provide(CHART_THEME_KEY, isRef(theme) ? theme : ref(theme))
+}
@@ -0,0 +1,47 @@
+import { CHART_DEFAULTS_KEY } from '@/composables/useChartConfig.js'
+import installChartTheme from './theme.js'
+
+// Keys of createVueCharts defaults that hold defaults for one chart type
+const CHART_TYPES = ['bar', 'line', 'pie', 'stacked', 'scatter', 'bubble', 'combo', 'radar', 'heatmap', 'timeline']
+
+/**
+ * Create the Vue Charts plugin
+ * Defaults apply to every chart, except keys named after a chart type (bar, line, pie, stacked,
+ * scatter, bubble, combo, radar, heatmap, timeline), which apply to that type only. They are
+ * deep-merged between DEFAULT_CONFIG and each chart's own options.
+ * @param {import('../types.js').VueChartsOptions} [options={}] - Plugin options
+ * @returns {{install: (app: Object) => void}} Vue plugin
+ * @example
+ * app.use(createVueCharts({
+ *     defaults: { plugins: { legend: { position: 'bottom' } }, pie: { donut: true } },
+ *     theme: 'auto',
+ *     locale: 'de-DE'
+ * }))
+ */
+export function createVueCharts(options = {}) {
+    const { defaults = {}, theme, locale } = options
+    const global = {}
+    const types = {}
+
+    for (const key in defaults) {
+        if (CHART_TYPES.includes(key)) {
+            types[key] = defaults[key]
+        } else {
+            global[key] = defaults[key]
+        }
+    }
+
+    if (locale) {
+        global.locale = locale
+    }
+
+    return {
+        install(app) {
+            app.provide(CHART_DEFAULTS_KEY, { global, types })
+
+            if (theme !== undefined) {
+                installChartTheme(app, { theme })
+            }
+        }
+    }
+}
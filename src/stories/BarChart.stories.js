@@ -1,6 +1,7 @@
 import { expect } from 'storybook/test'
 import { onMounted, ref } from 'vue'
 import BarChart from '../components/charts/BarChart.vue'
+import { exportChart } from '../utils/exportUtils.js'
 
 export default {
     title: 'Charts/BarChart',
@@ -714,6 +715,147 @@ Highlights profit and loss scenarios with values above and below zero.`
     }
 }
 
+export const FixedAxisRange = {
+    render: (args) => ({
+        components: { BarChart },
+        setup() {
+            return { args }
+        },
+        template: `
+            <div style="width: 100%; height: 400px; padding: 20px;">
+                <bar-chart v-bind="args"/>
+            </div>
+        `
+    }),
+    args: {
+        data: {
+            labels: ['web-01', 'web-02', 'web-03', 'db-01', 'cache-01'],
+            datasets: [{
+                label: 'CPU utilisation (%)',
+                data: [42, 67, 38, 81, 23],
+                backgroundColor: '#3b82f6'
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                y: {
+                    min: 0,
+                    max: 100,
+                    ticks: {
+                        stepSize: 25
+                    }
+                }
+            }
+        }
+    },
+    parameters: {
+        docs: {
+            description: {
+                story: 'Fixed 0–100 axis with a 25 step, so several charts on one dashboard share the same scale regardless of their data.'
+            }
+        }
+    }
+}
+
+export const LocaleFormatting = {
+    render: (args) => ({
+        components: { BarChart },
+        setup() {
+            return { args }
+        },
+        template: `
+            <div style="width: 100%; height: 400px; padding: 20px;">
+                <bar-chart v-bind="args"/>
+            </div>
+        `
+    }),
+    args: {
+        data: {
+            labels: ['Q1', 'Q2', 'Q3', 'Q4'],
+            datasets: [{
+                label: 'Umsatz',
+                data: [1250000.5, 1480250, 1320900.75, 1710400],
+                backgroundColor: '#10b981'
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            locale: 'de-DE',
+            numberFormat: {
+                style: 'currency',
+                currency: 'EUR'
+            },
+            scales: {
+                y: {
+                    ticks: {
+                        numberFormat: {
+                            notation: 'compact',
+                            maximumFractionDigits: 1
+                        }
+                    }
+                },
+                x: {
+                    ticks: {
+                        callback: (value) => `${value} 2024`
+                    }
+                }
+            }
+        }
+    },
+    parameters: {
+        docs: {
+            description: {
+                story: 'German locale with euro currency in tooltips, compact currency tick labels, and a ticks.callback on the X axis.'
+            }
+        }
+    }
+}
+
+export const Horizontal = {
+    render: (args) => ({
+        components: { BarChart },
+        setup() {
+            return { args }
+        },
+        template: `
+            <div style="width: 100%; height: 400px; padding: 20px;">
+                <bar-chart v-bind="args"/>
+            </div>
+        `
+    }),
+    args: {
+        data: {
+            labels: [
+                'Customer Support and Success',
+                'Research and Development',
+                'Sales and Business Development',
+                'Marketing Communications',
+                'Finance and Administration'
+            ],
+            datasets: [{
+                label: 'Headcount',
+                data: [48, 92, 35, 21, 14],
+                backgroundColor: '#3b82f6'
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            indexAxis: 'y'
+        }
+    },
+    parameters: {
+        docs: {
+            description: {
+                story: 'Horizontal bars (indexAxis set to y). Long category names run down the Y axis, with the left padding sized to fit them.'
+            }
+        }
+    }
+}
+
 export const FixedSize = {
     render: (args) => ({
         components: { BarChart },
@@ -765,6 +907,198 @@ Demonstrates a non-responsive chart with explicit dimensions.`
     }
 }
 
+export const ValueColouredBars = {
+    render: (args) => ({
+        components: { BarChart },
+        setup() {
+            return { args }
+        },
+        template: `
+            <div style="width: 100%; height: 400px; padding: 20px; background: #f9fafb; border-radius: 8px;">
+                <bar-chart v-bind="args"/>
+            </div>
+        `
+    }),
+    args: {
+        data: {
+            labels: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'],
+            datasets: [{
+                label: 'Average response time (ms)',
+                data: [180, 240, 410, 320, 150, 90, 110],
+                backgroundColor: '#6366f1',
+                colorScale: {
+                    scheme: 'magma',
+                    min: 0,
+                    max: 500,
+                    mode: 'oklch'
+                }
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                y: {
+                    beginAtZero: true
+                }
+            }
+        }
+    },
+    parameters: {
+        docs: {
+            description: {
+                story: 'Each bar takes its colour from the dataset\'s `colorScale` (the magma scheme over 0-500 ms, interpolated in OKLCH), so slower days stand out.'
+            }
+        }
+    }
+}
+
+export const ColourBlindSafe = {
+    render: (args) => ({
+        components: { BarChart },
+        setup() {
+            return { args }
+        },
+        template: `
+            <div style="width: 100%; height: 400px; padding: 20px; background: #f9fafb; border-radius: 8px;">
+                <bar-chart v-bind="args"/>
+            </div>
+        `
+    }),
+    args: {
+        data: {
+            labels: ['Q1', 'Q2', 'Q3', 'Q4'],
+            datasets: [
+                { label: 'North', data: [42, 48, 51, 57] },
+                { label: 'South', data: [35, 39, 44, 41] },
+                { label: 'East', data: [28, 33, 30, 38] },
+                { label: 'West', data: [22, 27, 35, 40] }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            colors: 'okabe-ito',
+            patterns: true,
+            scales: {
+                y: {
+                    beginAtZero: true
+                }
+            }
+        }
+    },
+    parameters: {
+        docs: {
+            description: {
+                story: 'The Okabe-Ito palette (`colors: \'okabe-ito\'`) with `patterns: true`: every series also gets its own hatch or dot pattern, repeated in the legend, so the chart still reads in greyscale print.'
+            }
+        }
+    }
+}
+
+export const DarkTheme = {
+    render: (args) => ({
+        components: { BarChart },
+        setup() {
+            return { args }
+        },
+        template: `
+            <div style="width: 100%; height: 400px; border-radius: 8px; overflow: hidden;">
+                <bar-chart v-bind="args"/>
+            </div>
+        `
+    }),
+    args: {
+        data: {
+            labels: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun'],
+            datasets: [
+                { label: 'Revenue', data: [65, 59, 80, 81, 56, 72] },
+                { label: 'Costs', data: [28, 48, 40, 19, 36, 27] }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            theme: 'dark',
+            scales: {
+                y: {
+                    beginAtZero: true
+                }
+            }
+        }
+    },
+    parameters: {
+        docs: {
+            description: {
+                story: 'The dark preset set on one chart with `theme: \'dark\'`: background, grid, axes, legend, tooltip and the default palette all switch together.'
+            }
+        }
+    }
+}
+
+export const ExportImage = {
+    render: (args) => ({
+        components: { BarChart },
+        setup() {
+            const chartRef = ref(null)
+            const preview = ref('')
+
+            const previewSvg = async () => {
+                const blob = await exportChart(chartRef, 'svg')
+                URL.revokeObjectURL(preview.value)
+                preview.value = URL.createObjectURL(blob)
+            }
+
+            return { args, chartRef, preview, previewSvg }
+        },
+        template: `
+            <div style="width: 100%;">
+                <div style="width: 100%; height: 360px; margin-bottom: 16px;">
+                    <bar-chart ref="chartRef" v-bind="args"/>
+                </div>
+                <button
+                    @click="previewSvg"
+                    style="padding: 8px 16px; background: #3b82f6; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 14px; font-weight: 500;"
+                >
+                    Preview SVG Export
+                </button>
+                <img
+                    v-if="preview"
+                    :src="preview"
+                    alt="Exported chart"
+                    style="display: block; max-width: 100%; margin-top: 16px; border: 1px solid #e5e7eb; border-radius: 8px;"
+                />
+            </div>
+        `
+    }),
+    args: {
+        data: {
+            labels: ['Q1', 'Q2', 'Q3', 'Q4'],
+            datasets: [
+                { label: 'Online', data: [42, 55, 61, 70] },
+                { label: 'In store', data: [38, 35, 33, 36] }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                export: {
+                    display: true,
+                    filename: 'quarterly-sales'
+                }
+            }
+        }
+    },
+    parameters: {
+        docs: {
+            description: {
+                story: 'The download button in the top right corner (`plugins.export.display`) saves a PNG or SVG or copies the chart to the clipboard. The preview button calls `exportChart(chartRef, \'svg\')` and shows the result, legend included, as a standalone image.'
+            }
+        }
+    }
+}
+
 export const WithLoadingSpinner = {
     render: (args) => ({
         components: { BarChart },
@@ -0,0 +1,171 @@
+import BubbleChart from '../components/charts/BubbleChart.vue'
+
+export default {
+    title: 'Charts/BubbleChart',
+    component: BubbleChart,
+    parameters: {
+        layout: 'padded',
+        docs: {
+            description: {
+                component: `A bubble chart: a scatter plot with a third value shown as the size of each point.
+
+## Features
+- **Point Data**: Datasets hold \`{ x, y, r }\` points, where r is the bubble radius in pixels
+- **Linear Axes**: Same axis options as the scatter chart
+- **Overlap Friendly**: Bubbles are semi-transparent by default (dataset fillOpacity)
+- **Interactive**: Hover tooltips, click events and legend toggling
+
+## Installation
+\`\`\`js
+import { BubbleChart } from '@vue-charts/core'
+import '@vue-charts/core/style.css'
+\`\`\`
+
+## Basic Usage
+\`\`\`vue
+<template>
+  <bubble-chart :data="chartData" />
+</template>
+
+<script setup>
+import { BubbleChart } from '@vue-charts/core'
+
+const chartData = {
+  datasets: [{
+    label: 'Projects',
+    data: [{ x: 20, y: 30, r: 15 }, { x: 40, y: 10, r: 10 }],
+    backgroundColor: '#3b82f6'
+  }]
+}
+</script>
+\`\`\`
+`
+            }
+        }
+    },
+    argTypes: {
+        data: {
+            control: 'object',
+            description: 'Chart data with datasets of {x, y, r} points'
+        },
+        options: {
+            control: 'object',
+            description: 'Chart configuration options'
+        },
+        onPointClick: {
+            action: 'point-click',
+            description: 'Event emitted when a bubble is clicked'
+        }
+    }
+}
+
+export const Default = {
+    render: (args) => ({
+        components: { BubbleChart },
+        setup() {
+            return { args }
+        },
+        template: `
+            <div style="width: 100%; height: 400px; padding: 20px;">
+                <bubble-chart v-bind="args"/>
+            </div>
+        `
+    }),
+    args: {
+        data: {
+            datasets: [
+                {
+                    label: 'Europe',
+                    data: [
+                        { x: 42, y: 81.2, r: 18, label: 'Germany' },
+                        { x: 38, y: 82.3, r: 15, label: 'France' },
+                        { x: 35, y: 83.1, r: 14, label: 'Spain' },
+                        { x: 48, y: 82.7, r: 9, label: 'Sweden' }
+                    ],
+                    backgroundColor: '#3b82f6'
+                },
+                {
+                    label: 'Asia',
+                    data: [
+                        { x: 12, y: 70.8, r: 26, label: 'India' },
+                        { x: 21, y: 78.2, r: 28, label: 'China' },
+                        { x: 40, y: 84.5, r: 16, label: 'Japan' },
+                        { x: 9, y: 72.6, r: 12, label: 'Bangladesh' }
+                    ],
+                    backgroundColor: '#10b981'
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                x: {
+                    suggestedMin: 0,
+                    suggestedMax: 55
+                },
+                y: {
+                    beginAtZero: false,
+                    suggestedMin: 68,
+                    suggestedMax: 86
+                }
+            }
+        }
+    },
+    parameters: {
+        docs: {
+            description: {
+                story: 'Income (x) against life expectancy (y), with bubble size standing in for population. Suggested bounds leave room for the larger bubbles at the edges.'
+            }
+        }
+    }
+}
+
+export const OpaqueBubbles = {
+    render: (args) => ({
+        components: { BubbleChart },
+        setup() {
+            return { args }
+        },
+        template: `
+            <div style="width: 100%; height: 400px; padding: 20px;">
+                <bubble-chart v-bind="args"/>
+            </div>
+        `
+    }),
+    args: {
+        data: {
+            datasets: [{
+                label: 'Backlog items',
+                data: [
+                    { x: 1, y: 8, r: 20 }, { x: 3, y: 5, r: 12 }, { x: 4, y: 9, r: 8 },
+                    { x: 6, y: 3, r: 16 }, { x: 8, y: 6, r: 10 }
+                ],
+                backgroundColor: '#f97316',
+                borderColor: '#ffffff',
+                borderWidth: 2,
+                fillOpacity: 1
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                x: {
+                    suggestedMin: 0,
+                    suggestedMax: 9
+                },
+                y: {
+                    suggestedMax: 11
+                }
+            }
+        }
+    },
+    parameters: {
+        docs: {
+            description: {
+                story: 'Solid bubbles with a white outline, set with fillOpacity: 1 and borderColor.'
+            }
+        }
+    }
+}
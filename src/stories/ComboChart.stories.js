@@ -0,0 +1,168 @@
+import ComboChart from '../components/charts/ComboChart.vue'
+
+export default {
+    title: 'Charts/ComboChart',
+    component: ComboChart,
+    parameters: {
+        layout: 'padded',
+        docs: {
+            description: {
+                component: `A combined bar and line chart. Each dataset's \`type\` decides how it is drawn, and all datasets share the same axes, tooltip and legend.
+
+## Features
+- **Mixed Types**: \`type: 'bar'\` (default) datasets are grouped side by side; \`type: 'line'\` datasets are drawn on top
+- **Shared Axes**: Bars and lines scale together, or bind a line to a secondary axis with \`yAxisID\`
+- **Index Tooltips**: Hovering a category lists every dataset's value
+- **Line Options**: Tension, area fills, dashes, gaps and spanGaps work as in the line chart
+
+## Installation
+\`\`\`js
+import { ComboChart } from '@vue-charts/core'
+import '@vue-charts/core/style.css'
+\`\`\`
+
+## Basic Usage
+\`\`\`vue
+<template>
+  <combo-chart :data="chartData" />
+</template>
+
+<script setup>
+import { ComboChart } from '@vue-charts/core'
+
+const chartData = {
+  labels: ['Jan', 'Feb', 'Mar'],
+  datasets: [
+    { label: 'Orders', data: [120, 150, 140] },
+    { label: 'Trend', type: 'line', data: [125, 135, 145] }
+  ]
+}
+</script>
+\`\`\`
+`
+            }
+        }
+    },
+    argTypes: {
+        data: {
+            control: 'object',
+            description: 'Chart data including labels and bar/line datasets'
+        },
+        options: {
+            control: 'object',
+            description: 'Chart configuration options'
+        },
+        onBarClick: {
+            action: 'bar-click',
+            description: 'Event emitted when a bar is clicked'
+        },
+        onPointClick: {
+            action: 'point-click',
+            description: 'Event emitted when a line point is clicked'
+        }
+    }
+}
+
+export const VolumeWithTrend = {
+    render: (args) => ({
+        components: { ComboChart },
+        setup() {
+            return { args }
+        },
+        template: `
+            <div style="width: 100%; height: 400px; padding: 20px;">
+                <combo-chart v-bind="args"/>
+            </div>
+        `
+    }),
+    args: {
+        data: {
+            labels: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
+            datasets: [
+                {
+                    label: 'Monthly volume',
+                    data: [420, 380, 510, 470, 560, 610, 580, 640, 600, 690, 720, 810],
+                    backgroundColor: '#93c5fd'
+                },
+                {
+                    label: '3-month average',
+                    type: 'line',
+                    data: [null, null, 437, 453, 513, 547, 583, 610, 607, 643, 670, 740],
+                    borderColor: '#1d4ed8',
+                    backgroundColor: '#1d4ed8',
+                    borderWidth: 3,
+                    pointRadius: 3
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false
+        }
+    },
+    parameters: {
+        docs: {
+            description: {
+                story: 'Monthly volume bars with a rolling average drawn over them. The average has no value for the first two months, so its line starts at March.'
+            }
+        }
+    }
+}
+
+export const GroupedBarsSecondaryAxis = {
+    render: (args) => ({
+        components: { ComboChart },
+        setup() {
+            return { args }
+        },
+        template: `
+            <div style="width: 100%; height: 400px; padding: 20px;">
+                <combo-chart v-bind="args"/>
+            </div>
+        `
+    }),
+    args: {
+        data: {
+            labels: ['Q1', 'Q2', 'Q3', 'Q4'],
+            datasets: [
+                {
+                    label: 'Revenue (£k)',
+                    data: [320, 410, 380, 460],
+                    backgroundColor: '#10b981'
+                },
+                {
+                    label: 'Costs (£k)',
+                    data: [240, 290, 300, 310],
+                    backgroundColor: '#f87171'
+                },
+                {
+                    label: 'Margin (%)',
+                    type: 'line',
+                    data: [25, 29.3, 21.1, 32.6],
+                    yAxisID: 'y1',
+                    borderColor: '#7c3aed',
+                    backgroundColor: '#7c3aed',
+                    borderDash: [6, 4],
+                    smooth: false
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                y1: {
+                    position: 'right',
+                    suggestedMax: 40
+                }
+            }
+        }
+    },
+    parameters: {
+        docs: {
+            description: {
+                story: 'Two bar datasets grouped per quarter, plus a margin line read against its own right-hand axis.'
+            }
+        }
+    }
+}
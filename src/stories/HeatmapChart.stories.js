@@ -0,0 +1,233 @@
+import { ref } from 'vue'
+import HeatmapChart from '../components/charts/HeatmapChart.vue'
+import { COLOR_SCHEMES } from '../utils/colourUtils.js'
+
+const weekdays = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']
+const hours = Array.from({ length: 12 }, (_, index) => `${String(index * 2).padStart(2, '0')}:00`)
+
+// Busy weekday working hours, quieter evenings and weekends
+const usageCells = weekdays.flatMap((day, dayIndex) => hours.map((hour, hourIndex) => {
+    const isWeekend = dayIndex >= 5
+    const workingHours = hourIndex >= 4 && hourIndex <= 8
+    const base = workingHours ? (isWeekend ? 35 : 120) : (isWeekend ? 15 : 30)
+
+    return { x: hour, y: day, v: base + ((dayIndex * 7 + hourIndex * 13) % 25) }
+}))
+
+export default {
+    title: 'Charts/HeatmapChart',
+    component: HeatmapChart,
+    parameters: {
+        layout: 'padded',
+        docs: {
+            description: {
+                component: `A heatmap (matrix) chart colouring a grid of cells at the intersection of two category axes.
+Cells are \`{ x, y, v }\` objects; \`labels\` orders the columns and \`yLabels\` the rows.
+
+## Features
+- **Category Axes**: Column and row labels, with optional \`ticks.callback\`
+- **Continuous Colour Scale**: Interpolated between any number of \`colorScale.colors\` stops
+- **Gradient Legend**: Value ticks beside a colour bar (hide with \`plugins.legend.display: false\`)
+- **Interactive**: Cell tooltips and click events
+
+## Installation
+\`\`\`js
+import { HeatmapChart } from '@vue-charts/core'
+import '@vue-charts/core/style.css'
+\`\`\`
+
+## Basic Usage
+\`\`\`vue
+<template>
+  <heatmap-chart :data="chartData" :options="{ colorScale: { colors: ['#ecfdf5', '#047857'] } }" />
+</template>
+
+<script setup>
+import { HeatmapChart } from '@vue-charts/core'
+
+const chartData = {
+  labels: ['Morning', 'Afternoon', 'Evening'],
+  yLabels: ['Mon', 'Tue'],
+  datasets: [{
+    label: 'Sessions',
+    data: [
+      { x: 'Morning', y: 'Mon', v: 12 },
+      { x: 'Afternoon', y: 'Mon', v: 30 },
+      { x: 'Evening', y: 'Tue', v: 8 }
+    ]
+  }]
+}
+</script>
+\`\`\`
+`
+            }
+        }
+    },
+    argTypes: {
+        data: {
+            control: 'object',
+            description: 'Chart data including column and row categories and the matrix cells'
+        },
+        options: {
+            control: 'object',
+            description: 'Chart configuration options'
+        },
+        onCellClick: {
+            action: 'cell-click',
+            description: 'Event emitted when a cell is clicked'
+        }
+    }
+}
+
+export const WeeklyUsage = {
+    render: (args) => ({
+        components: { HeatmapChart },
+        setup() {
+            return { args }
+        },
+        template: `
+            <div style="width: 100%; height: 400px; padding: 20px;">
+                <heatmap-chart v-bind="args"/>
+            </div>
+        `
+    }),
+    args: {
+        data: {
+            labels: hours,
+            yLabels: weekdays,
+            datasets: [{
+                label: 'Sessions',
+                data: usageCells
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false
+        }
+    },
+    parameters: {
+        docs: {
+            description: {
+                story: 'Sessions by weekday and two-hour slot, using the default light-to-dark blue scale. Hover a cell for its exact count.'
+            }
+        }
+    }
+}
+
+export const DivergingScale = {
+    render: (args) => ({
+        components: { HeatmapChart },
+        setup() {
+            return { args }
+        },
+        template: `
+            <div style="width: 100%; height: 360px; padding: 20px;">
+                <heatmap-chart v-bind="args"/>
+            </div>
+        `
+    }),
+    args: {
+        data: {
+            labels: ['Q1', 'Q2', 'Q3', 'Q4'],
+            yLabels: ['North', 'East', 'South', 'West'],
+            datasets: [{
+                label: 'Change vs last year (%)',
+                data: [
+                    { x: 'Q1', y: 'North', v: 12 },
+                    { x: 'Q2', y: 'North', v: 8 },
+                    { x: 'Q3', y: 'North', v: -3 },
+                    { x: 'Q4', y: 'North', v: 5 },
+                    { x: 'Q1', y: 'East', v: -9 },
+                    { x: 'Q2', y: 'East', v: -14 },
+                    { x: 'Q3', y: 'East', v: -6 },
+                    { x: 'Q4', y: 'East', v: null },
+                    { x: 'Q1', y: 'South', v: 3 },
+                    { x: 'Q2', y: 'South', v: 17 },
+                    { x: 'Q3', y: 'South', v: 20 },
+                    { x: 'Q4', y: 'South', v: 11 },
+                    { x: 'Q1', y: 'West', v: 0 },
+                    { x: 'Q2', y: 'West', v: -2 },
+                    { x: 'Q3', y: 'West', v: 4 },
+                    { x: 'Q4', y: 'West', v: -18 }
+                ]
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            cellGap: 4,
+            colorScale: {
+                colors: ['#dc2626', '#f9fafb', '#16a34a'],
+                min: -20,
+                max: 20
+            }
+        }
+    },
+    parameters: {
+        docs: {
+            description: {
+                story: 'A three-stop red-white-green scale fixed at ±20 so zero sits on white. East Q4 has no value and is drawn in the empty colour.'
+            }
+        }
+    }
+}
+
+export const ColourSchemes = {
+    render: (args) => ({
+        components: { HeatmapChart },
+        setup() {
+            const schemes = Object.keys(COLOR_SCHEMES)
+            const scheme = ref('viridis')
+            const mode = ref('lab')
+
+            return { args, schemes, scheme, mode }
+        },
+        template: `
+            <div style="width: 100%;">
+                <div style="margin-bottom: 16px; display: flex; gap: 12px; font-size: 14px; color: #374151;">
+                    <label>
+                        Scheme
+                        <select v-model="scheme">
+                            <option v-for="name in schemes" :key="name" :value="name">{{ name }}</option>
+                        </select>
+                    </label>
+                    <label>
+                        Interpolation
+                        <select v-model="mode">
+                            <option value="rgb">rgb</option>
+                            <option value="lab">lab</option>
+                            <option value="oklch">oklch</option>
+                        </select>
+                    </label>
+                </div>
+                <div style="width: 100%; height: 400px;">
+                    <heatmap-chart
+                        :data="args.data"
+                        :options="{ ...args.options, colorScale: { scheme, mode } }"
+                    />
+                </div>
+            </div>
+        `
+    }),
+    args: {
+        data: {
+            labels: hours,
+            yLabels: weekdays,
+            datasets: [{
+                label: 'Sessions',
+                data: usageCells
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false
+        }
+    },
+    parameters: {
+        docs: {
+            description: {
+                story: 'Switch between the built-in `COLOR_SCHEMES` presets and interpolation colour spaces. Diverging schemes such as blueRed look best with a `center` value.'
+            }
+        }
+    }
+}
@@ -1,5 +1,6 @@
 import { computed, onMounted, ref } from 'vue'
 import LineChart from '../components/charts/LineChart.vue'
+import { provideChartTheme } from '../composables/useChartTheme.js'
 
 export default {
     title: 'Charts/LineChart',
@@ -588,6 +589,457 @@ export const StockChart = {
     }
 }
 
+export const TimeScale = {
+    render: (args) => ({
+        components: { LineChart },
+        setup() {
+            return { args }
+        },
+        template: `
+            <div style="width: 100%; height: 400px; padding: 20px;">
+                <line-chart v-bind="args"/>
+            </div>
+        `
+    }),
+    args: {
+        data: {
+            labels: [
+                '2024-03-01', '2024-03-04', '2024-03-05', '2024-03-06', '2024-03-07',
+                '2024-03-08', '2024-03-11', '2024-03-12', '2024-03-14', '2024-03-15',
+                '2024-03-18', '2024-03-19', '2024-03-20', '2024-03-21', '2024-03-22'
+            ],
+            datasets: [{
+                label: 'Closing Price',
+                data: [112, 115, 113, 118, 121, 119, 124, 122, 127, 126, 131, 129, 133, 136, 134],
+                borderColor: '#3b82f6',
+                backgroundColor: '#3b82f6',
+                borderWidth: 2,
+                fill: true,
+                fillOpacity: 0.1,
+                tension: 0.3
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    display: false
+                }
+            },
+            scales: {
+                x: {
+                    type: 'time',
+                    time: {
+                        unit: 'day'
+                    }
+                },
+                y: {
+                    beginAtZero: false
+                }
+            }
+        }
+    },
+    parameters: {
+        docs: {
+            description: {
+                story: 'Trading days on a time scale: weekend gaps are spaced proportionally and ticks fall on calendar days.'
+            }
+        }
+    }
+}
+
+export const LogarithmicScale = {
+    render: (args) => ({
+        components: { LineChart },
+        setup() {
+            return { args }
+        },
+        template: `
+            <div style="width: 100%; height: 400px; padding: 20px;">
+                <line-chart v-bind="args"/>
+            </div>
+        `
+    }),
+    args: {
+        data: {
+            labels: ['00:00', '03:00', '06:00', '09:00', '12:00', '15:00', '18:00', '21:00'],
+            datasets: [
+                {
+                    label: 'Requests / min',
+                    data: [420, 180, 950, 18500, 42000, 36000, 12400, 2300],
+                    borderColor: '#3b82f6',
+                    backgroundColor: '#3b82f6',
+                    borderWidth: 2,
+                    tension: 0.3
+                },
+                {
+                    label: 'p99 latency (ms)',
+                    data: [12, 9, 15, 85, 640, 410, 60, 0],
+                    borderColor: '#ef4444',
+                    backgroundColor: '#ef4444',
+                    borderWidth: 2,
+                    tension: 0.3
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                y: {
+                    type: 'logarithmic'
+                }
+            }
+        }
+    },
+    parameters: {
+        docs: {
+            description: {
+                story: 'Logarithmic Y axis with decade and minor ticks for metrics spanning several orders of magnitude. Zero values sit on the bottom of the axis.'
+            }
+        }
+    }
+}
+
+export const SecondaryAxis = {
+    render: (args) => ({
+        components: { LineChart },
+        setup() {
+            return { args }
+        },
+        template: `
+            <div style="width: 100%; height: 400px; padding: 20px;">
+                <line-chart v-bind="args"/>
+            </div>
+        `
+    }),
+    args: {
+        data: {
+            labels: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug'],
+            datasets: [
+                {
+                    label: 'Revenue (£)',
+                    data: [42000, 45500, 51000, 49000, 56500, 61000, 59500, 66000],
+                    borderColor: '#3b82f6',
+                    backgroundColor: '#3b82f6',
+                    borderWidth: 2,
+                    tension: 0.3
+                },
+                {
+                    label: 'Conversion rate (%)',
+                    data: [2.1, 2.4, 2.2, 2.9, 3.1, 2.8, 3.4, 3.6],
+                    borderColor: '#f59e0b',
+                    backgroundColor: '#f59e0b',
+                    borderWidth: 2,
+                    borderDash: [6, 4],
+                    tension: 0.3,
+                    yAxisID: 'y1'
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                y1: {
+                    position: 'right',
+                    max: 5
+                }
+            }
+        }
+    },
+    parameters: {
+        docs: {
+            description: {
+                story: 'Two independent Y scales: revenue on the left axis and conversion rate on a right-hand axis bound with yAxisID.'
+            }
+        }
+    }
+}
+
+export const CustomTooltip = {
+    render: (args) => ({
+        components: { LineChart },
+        setup() {
+            return { args }
+        },
+        template: `
+            <div style="width: 100%; height: 400px; padding: 20px;">
+                <line-chart v-bind="args">
+                    <template #tooltip="{ title, items, dataIndex }">
+                        <div style="font-weight: 600; margin-bottom: 4px;">{{ title }}</div>
+                        <div
+                            v-for="item in items"
+                            :key="item.datasetIndex"
+                        >
+                            {{ item.label }}: {{ item.value }}
+                            <span
+                                v-if="dataIndex > 0"
+                                :style="{ color: item.raw >= item.dataset.data[dataIndex - 1] ? '#22c55e' : '#ef4444' }"
+                            >
+                                ({{ item.raw >= item.dataset.data[dataIndex - 1] ? '+' : '' }}{{ item.raw - item.dataset.data[dataIndex - 1] }})
+                            </span>
+                        </div>
+                    </template>
+                </line-chart>
+            </div>
+        `
+    }),
+    args: {
+        data: {
+            labels: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'],
+            datasets: [
+                {
+                    label: 'Visitors',
+                    data: [320, 410, 385, 470, 520, 610, 580],
+                    borderColor: '#8b5cf6',
+                    backgroundColor: '#8b5cf6',
+                    borderWidth: 2,
+                    tension: 0.3
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                tooltip: {
+                    backgroundColor: '#ffffff',
+                    titleColor: '#111827',
+                    bodyColor: '#374151',
+                    borderWidth: 1,
+                    borderColor: '#e5e7eb',
+                    padding: 10
+                }
+            }
+        }
+    },
+    parameters: {
+        docs: {
+            description: {
+                story: 'Custom tooltip markup via the scoped #tooltip slot, showing the change from the previous day, with light styling from plugins.tooltip options.'
+            }
+        }
+    }
+}
+
+export const TooltipCallbacks = {
+    render: (args) => ({
+        components: { LineChart },
+        setup() {
+            return { args }
+        },
+        template: `
+            <div style="width: 100%; height: 400px; padding: 20px;">
+                <line-chart v-bind="args"/>
+            </div>
+        `
+    }),
+    args: {
+        data: {
+            labels: ['Q1', 'Q2', 'Q3', 'Q4'],
+            datasets: [
+                {
+                    label: 'Revenue',
+                    data: [12500, 14800, 13900, 17200],
+                    borderColor: '#3b82f6',
+                    backgroundColor: '#3b82f6',
+                    borderWidth: 2
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                tooltip: {
+                    callbacks: {
+                        title: (items) => `Quarter ${items[0].dataIndex + 1}, 2024`,
+                        label: (item) => `${item.label}: £${(item.raw / 1000).toFixed(1)}k`
+                    }
+                }
+            }
+        }
+    },
+    parameters: {
+        docs: {
+            description: {
+                story: 'Tooltip title and line text replaced by callbacks.title and callbacks.label.'
+            }
+        }
+    }
+}
+
+export const InteractionModes = {
+    render: (args) => ({
+        components: { LineChart },
+        setup() {
+            return { args }
+        },
+        template: `
+            <div style="width: 100%; height: 400px; padding: 20px;">
+                <line-chart v-bind="args"/>
+            </div>
+        `
+    }),
+    args: {
+        data: {
+            labels: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
+            datasets: [
+                {
+                    label: 'London',
+                    data: [8, 9, 12, 15, 18, 21, 23, 23, 20, 16, 11, 8],
+                    borderColor: '#3b82f6',
+                    backgroundColor: '#3b82f6',
+                    borderWidth: 2,
+                    tension: 0.3
+                },
+                {
+                    label: 'Madrid',
+                    data: [11, 13, 16, 18, 23, 29, 33, 32, 27, 20, 14, 11],
+                    borderColor: '#ef4444',
+                    backgroundColor: '#ef4444',
+                    borderWidth: 2,
+                    tension: 0.3
+                },
+                {
+                    label: 'Oslo',
+                    data: [-1, 0, 4, 10, 16, 20, 22, 21, 16, 9, 4, 0],
+                    borderColor: '#10b981',
+                    backgroundColor: '#10b981',
+                    borderWidth: 2,
+                    tension: 0.3,
+                    showPoints: false
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                tooltip: {
+                    mode: 'index',
+                    intersect: false
+                }
+            }
+        }
+    },
+    parameters: {
+        docs: {
+            description: {
+                story: 'Hovering anywhere in the plot area snaps to the nearest month, showing every city in one tooltip with a crosshair and highlighted points. Try mode point, nearest or dataset, or intersect: true.'
+            }
+        }
+    }
+}
+
+export const MissingValues = {
+    render: (args) => ({
+        components: { LineChart },
+        setup() {
+            return { args }
+        },
+        template: `
+            <div style="width: 100%; height: 400px; padding: 20px;">
+                <line-chart v-bind="args"/>
+            </div>
+        `
+    }),
+    args: {
+        data: {
+            labels: ['00:00', '02:00', '04:00', '06:00', '08:00', '10:00', '12:00', '14:00', '16:00', '18:00'],
+            datasets: [
+                {
+                    label: 'Sensor A (gaps)',
+                    data: [18.2, 17.9, null, null, 19.4, 21.8, 23.1, null, 22.4, 20.6],
+                    borderColor: '#3b82f6',
+                    backgroundColor: '#3b82f6',
+                    fill: true,
+                    fillOpacity: 0.15
+                },
+                {
+                    label: 'Sensor B (spanGaps)',
+                    data: [16.5, null, 16.1, 16.8, null, 19.2, 20.5, 21.0, null, 18.9],
+                    borderColor: '#f59e0b',
+                    backgroundColor: '#f59e0b',
+                    borderDash: [6, 4],
+                    spanGaps: true
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false
+        }
+    },
+    parameters: {
+        docs: {
+            description: {
+                story: 'Readings with null samples. Sensor A breaks its line and fill at each gap; Sensor B sets spanGaps to join the surrounding readings. No point is drawn for a missing sample.'
+            }
+        }
+    }
+}
+
+export const ThemeSwitching = {
+    render: (args) => ({
+        components: { LineChart },
+        setup() {
+            const theme = provideChartTheme('auto')
+            const themes = ['auto', 'light', 'dark']
+
+            return { args, theme, themes }
+        },
+        template: `
+            <div style="width: 100%;">
+                <div style="display: flex; gap: 8px; margin-bottom: 16px;">
+                    <button
+                        v-for="name in themes"
+                        :key="name"
+                        @click="theme = name"
+                        :style="{ opacity: theme === name ? 1 : 0.6 }"
+                        style="padding: 8px 16px; background: #3b82f6; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 14px; font-weight: 500;"
+                    >
+                        {{ name }}
+                    </button>
+                </div>
+                <div style="width: 100%; height: 400px; border-radius: 8px; overflow: hidden;">
+                    <line-chart v-bind="args"/>
+                </div>
+            </div>
+        `
+    }),
+    args: {
+        data: {
+            labels: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'],
+            datasets: [
+                {
+                    label: 'Visitors',
+                    data: [820, 932, 901, 934, 1290, 1330, 1320],
+                    tension: 0.4
+                },
+                {
+                    label: 'Sign-ups',
+                    data: [120, 132, 101, 134, 290, 330, 310],
+                    tension: 0.4
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false
+        }
+    },
+    parameters: {
+        docs: {
+            description: {
+                story: 'A theme provided with `provideChartTheme` (or app-wide with the `installChartTheme` plugin). `auto` follows the operating system\'s `prefers-color-scheme`; the buttons switch the provided ref at runtime.'
+            }
+        }
+    }
+}
+
 export const WithLoadingSpinner = {
     render: (args) => ({
         components: { LineChart },
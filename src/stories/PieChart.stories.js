@@ -1,5 +1,6 @@
 import { onMounted, ref } from 'vue'
 import PieChart from '../components/charts/PieChart.vue'
+import { generateAccessiblePalette } from '../utils/colourUtils.js'
 
 export default {
     title: 'Charts/PieChart',
@@ -12,6 +13,8 @@ export default {
 
 ## Features
 - **Donut Mode**: Optional centre hole with custom labels
+- **Polar Area**: Equal-angle slices whose radius shows the value
+- **Pattern Fills**: Optional per-slice patterns for colour-blind readers and greyscale print
 - **Exploded Slices**: Separate slices for emphasis (all or individual)
 - **Flexible Labels**: Inner, outer, or no labels with multiple format options
 - **Interactive**: Hover tooltips and click events
@@ -188,7 +191,6 @@ export const InnerLabels = {
             responsive: true,
             maintainAspectRatio: false,
             labelPosition: 'inner',
-            labelColor: '#ffffff',
             labelFontSize: 14,
             plugins: {
                 legend: {
@@ -201,7 +203,7 @@ export const InnerLabels = {
     parameters: {
         docs: {
             description: {
-                story: 'Places percentage labels directly on each slice for immediate context.'
+                story: 'Places percentage labels directly on each slice for immediate context. Without a `labelColor`, each label is black or white, whichever has the higher contrast with its slice.'
             }
         }
     }
@@ -600,6 +602,206 @@ export const Interactive = {
     }
 }
 
+export const PolarArea = {
+    render: (args) => ({
+        components: { PieChart },
+        setup() {
+            return { args }
+        },
+        template: `
+            <div style="width: 100%; height: 400px;">
+                <pie-chart
+                    :data="args.data"
+                    :options="args.options"
+                />
+            </div>
+        `
+    }),
+    args: {
+        data: {
+            labels: ['North', 'East', 'South', 'West', 'Central'],
+            datasets: [{
+                data: [11, 16, 7, 3, 14],
+                backgroundColor: [
+                    'rgba(59, 130, 246, 0.7)',
+                    'rgba(139, 92, 246, 0.7)',
+                    'rgba(236, 72, 153, 0.7)',
+                    'rgba(245, 158, 11, 0.7)',
+                    'rgba(16, 185, 129, 0.7)'
+                ]
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            variant: 'polarArea',
+            showLabels: true,
+            labelPosition: 'outer',
+            labelFormat: 'value',
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'right'
+                }
+            }
+        }
+    },
+    parameters: {
+        docs: {
+            description: {
+                story: 'Polar area variant: slices share the circle equally and their length follows the value, read against the rings of the radial scale.'
+            }
+        }
+    }
+}
+
+export const AccessiblePalette = {
+    render: (args) => ({
+        components: { PieChart },
+        setup() {
+            return { args }
+        },
+        template: `
+            <div style="width: 100%; height: 400px; padding: 20px; background: #111827; border-radius: 8px;">
+                <pie-chart v-bind="args"/>
+            </div>
+        `
+    }),
+    args: {
+        data: {
+            labels: ['Search', 'Direct', 'Social', 'Email', 'Referral', 'Ads', 'Other'],
+            datasets: [{
+                data: [34, 21, 14, 11, 9, 7, 4],
+                backgroundColor: generateAccessiblePalette('#111827', 7),
+                borderColor: '#111827'
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            labelPosition: 'inner',
+            borderColor: '#111827',
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'right'
+                }
+            }
+        }
+    },
+    parameters: {
+        docs: {
+            description: {
+                story: 'Slice colours from `generateAccessiblePalette` for a dark background: seven evenly spaced hues, each with at least 3:1 contrast against the background, with inner labels picking black or white per slice.'
+            }
+        }
+    }
+}
+
+export const PatternFills = {
+    render: (args) => ({
+        components: { PieChart },
+        setup() {
+            return { args }
+        },
+        template: `
+            <div style="width: 100%; height: 400px; padding: 20px; filter: grayscale(1);">
+                <pie-chart v-bind="args"/>
+            </div>
+        `
+    }),
+    args: {
+        data: {
+            labels: ['Rent', 'Food', 'Transport', 'Leisure', 'Savings'],
+            datasets: [{
+                data: [38, 22, 12, 13, 15]
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            colors: 'tol-bright',
+            patterns: true,
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'right'
+                }
+            }
+        }
+    },
+    parameters: {
+        docs: {
+            description: {
+                story: 'Rendered in greyscale to simulate print: with `patterns: true` each slice and its legend swatch keep a distinct pattern even when the colours are indistinguishable.'
+            }
+        }
+    }
+}
+
+export const AnimatedUpdates = {
+    render: (args) => ({
+        components: { PieChart },
+        setup() {
+            const chartData = ref({
+                labels: ['North', 'South', 'East', 'West'],
+                datasets: [{
+                    data: [30, 25, 20, 25]
+                }]
+            })
+
+            const shuffleShares = () => {
+                chartData.value = {
+                    ...chartData.value,
+                    datasets: [{
+                        data: chartData.value.labels.map(() => Math.floor(Math.random() * 40) + 5)
+                    }]
+                }
+            }
+
+            return { chartData, shuffleShares, args }
+        },
+        template: `
+            <div style="width: 100%;">
+                <div style="margin-bottom: 16px;">
+                    <button
+                        @click="shuffleShares"
+                        style="padding: 8px 16px; background: #3b82f6; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 14px; font-weight: 500;"
+                    >
+                        Shuffle Shares
+                    </button>
+                </div>
+                <div style="width: 100%; height: 400px;">
+                    <pie-chart :data="chartData" :options="args.options"/>
+                </div>
+            </div>
+        `
+    }),
+    args: {
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: {
+                duration: 800,
+                easing: 'easeOutCubic'
+            },
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'right'
+                }
+            }
+        }
+    },
+    parameters: {
+        docs: {
+            description: {
+                story: 'Slices sweep round from the top on first render. Shuffling the shares moves each slice\'s edges to their new angles; hiding a slice from the legend closes it up while its neighbours widen.'
+            }
+        }
+    }
+}
+
 export const WithLoadingSpinner = {
     render: (args) => ({
         components: { PieChart },
@@ -0,0 +1,179 @@
+import RadarChart from '../components/charts/RadarChart.vue'
+
+export default {
+    title: 'Charts/RadarChart',
+    component: RadarChart,
+    parameters: {
+        layout: 'padded',
+        docs: {
+            description: {
+                component: `A radar (spider) chart comparing several datasets across the same set of measures.
+Each label becomes a spoke, and each dataset is drawn as a filled polygon over one radial value scale.
+
+## Features
+- **Radial Scale**: Nice-scale rings configured under \`scales.r\` (min, max, stepSize, beginAtZero)
+- **Polygon or Circular Grid**: Set \`scales.r.grid.circular\` for round rings
+- **Filled Areas**: Dataset fills with adjustable \`fillOpacity\`
+- **Interactive**: Point tooltips, click events and legend toggling
+
+## Installation
+\`\`\`js
+import { RadarChart } from '@vue-charts/core'
+import '@vue-charts/core/style.css'
+\`\`\`
+
+## Basic Usage
+\`\`\`vue
+<template>
+  <radar-chart :data="chartData" />
+</template>
+
+<script setup>
+import { RadarChart } from '@vue-charts/core'
+
+const chartData = {
+  labels: ['Speed', 'Reliability', 'Comfort', 'Safety', 'Efficiency'],
+  datasets: [{
+    label: 'Model A',
+    data: [65, 59, 90, 81, 56]
+  }]
+}
+</script>
+\`\`\`
+`
+            }
+        }
+    },
+    argTypes: {
+        data: {
+            control: 'object',
+            description: 'Chart data including spoke labels and datasets'
+        },
+        options: {
+            control: 'object',
+            description: 'Chart configuration options'
+        },
+        onPointClick: {
+            action: 'point-click',
+            description: 'Event emitted when a point is clicked'
+        }
+    }
+}
+
+export const FeatureScores = {
+    render: (args) => ({
+        components: { RadarChart },
+        setup() {
+            return { args }
+        },
+        template: `
+            <div style="width: 100%; height: 450px; padding: 20px;">
+                <radar-chart v-bind="args"/>
+            </div>
+        `
+    }),
+    args: {
+        data: {
+            labels: ['Search', 'Reporting', 'Integrations', 'Mobile app', 'Permissions', 'Onboarding'],
+            datasets: [
+                {
+                    label: 'Team Atlas',
+                    data: [8, 6, 9, 4, 7, 5],
+                    backgroundColor: '#3b82f6',
+                    borderColor: '#3b82f6'
+                },
+                {
+                    label: 'Team Borealis',
+                    data: [6, 9, 5, 8, 6, 7],
+                    backgroundColor: '#f59e0b',
+                    borderColor: '#f59e0b'
+                },
+                {
+                    label: 'Team Cirrus',
+                    data: [7, 7, 6, 6, 9, 8],
+                    backgroundColor: '#10b981',
+                    borderColor: '#10b981'
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                r: {
+                    max: 10,
+                    ticks: {
+                        stepSize: 2
+                    }
+                }
+            }
+        }
+    },
+    parameters: {
+        docs: {
+            description: {
+                story: 'Feature scores out of 10 for three teams. The scale is fixed at 0-10 with a ring every 2 points; toggle teams from the legend to compare pairs.'
+            }
+        }
+    }
+}
+
+export const CircularGrid = {
+    render: (args) => ({
+        components: { RadarChart },
+        setup() {
+            return { args }
+        },
+        template: `
+            <div style="width: 100%; height: 450px; padding: 20px;">
+                <radar-chart v-bind="args"/>
+            </div>
+        `
+    }),
+    args: {
+        data: {
+            labels: ['Strength', 'Agility', 'Stamina', 'Technique', 'Focus', 'Recovery', 'Power', 'Balance'],
+            datasets: [
+                {
+                    label: 'Pre-season',
+                    data: [62, 71, 55, 80, 68, 58, 66, 74],
+                    backgroundColor: '#a78bfa',
+                    borderColor: '#7c3aed',
+                    borderDash: [4, 3],
+                    fillOpacity: 0.1
+                },
+                {
+                    label: 'Mid-season',
+                    data: [74, 78, 72, 84, 75, 70, 79, 80],
+                    backgroundColor: '#7c3aed',
+                    borderColor: '#7c3aed',
+                    fillOpacity: 0.35
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                r: {
+                    beginAtZero: false,
+                    suggestedMin: 40,
+                    max: 100,
+                    grid: {
+                        circular: true
+                    },
+                    angleLines: {
+                        display: false
+                    }
+                }
+            }
+        }
+    },
+    parameters: {
+        docs: {
+            description: {
+                story: 'Round grid rings without spokes, and a scale starting at 40 to spread out scores that are all fairly high.'
+            }
+        }
+    }
+}
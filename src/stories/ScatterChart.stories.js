@@ -0,0 +1,203 @@
+import ScatterChart from '../components/charts/ScatterChart.vue'
+
+export default {
+    title: 'Charts/ScatterChart',
+    component: ScatterChart,
+    parameters: {
+        layout: 'padded',
+        docs: {
+            description: {
+                component: `A scatter chart for plotting numeric X/Y pairs on two linear axes.
+Useful for spotting correlations, clusters and outliers where the X values are measurements rather than categories.
+
+## Features
+- **Point Data**: Datasets hold \`{ x, y }\` points, no labels needed
+- **Linear Axes**: Both axes support min/max, suggested bounds and tick options
+- **Point Styles**: circle, rect, rectRot, triangle, cross, crossRot and star markers
+- **Interactive**: Hover tooltips, click events and legend toggling
+
+## Installation
+\`\`\`js
+import { ScatterChart } from '@vue-charts/core'
+import '@vue-charts/core/style.css'
+\`\`\`
+
+## Basic Usage
+\`\`\`vue
+<template>
+  <scatter-chart :data="chartData" />
+</template>
+
+<script setup>
+import { ScatterChart } from '@vue-charts/core'
+
+const chartData = {
+  datasets: [{
+    label: 'Samples',
+    data: [{ x: 1.2, y: 3.4 }, { x: 2.8, y: 4.1 }, { x: 3.5, y: 6.0 }],
+    backgroundColor: '#3b82f6'
+  }]
+}
+</script>
+\`\`\`
+`
+            }
+        }
+    },
+    argTypes: {
+        data: {
+            control: 'object',
+            description: 'Chart data with datasets of {x, y} points'
+        },
+        options: {
+            control: 'object',
+            description: 'Chart configuration options'
+        },
+        onPointClick: {
+            action: 'point-click',
+            description: 'Event emitted when a point is clicked'
+        }
+    }
+}
+
+export const Default = {
+    render: (args) => ({
+        components: { ScatterChart },
+        setup() {
+            return { args }
+        },
+        template: `
+            <div style="width: 100%; height: 400px; padding: 20px;">
+                <scatter-chart v-bind="args"/>
+            </div>
+        `
+    }),
+    args: {
+        data: {
+            datasets: [{
+                label: 'Height vs weight',
+                data: [
+                    { x: 152, y: 51 }, { x: 158, y: 55 }, { x: 161, y: 60 }, { x: 165, y: 58 },
+                    { x: 168, y: 66 }, { x: 171, y: 64 }, { x: 174, y: 72 }, { x: 177, y: 70 },
+                    { x: 180, y: 78 }, { x: 183, y: 81 }, { x: 186, y: 79 }, { x: 190, y: 88 }
+                ],
+                backgroundColor: '#3b82f6'
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                y: {
+                    beginAtZero: false
+                }
+            }
+        }
+    },
+    parameters: {
+        docs: {
+            description: {
+                story: 'A single series of measurements; the Y axis opts out of beginAtZero to zoom in on the data.'
+            }
+        }
+    }
+}
+
+export const PointStyles = {
+    render: (args) => ({
+        components: { ScatterChart },
+        setup() {
+            return { args }
+        },
+        template: `
+            <div style="width: 100%; height: 400px; padding: 20px;">
+                <scatter-chart v-bind="args"/>
+            </div>
+        `
+    }),
+    args: {
+        data: {
+            datasets: ['circle', 'rect', 'rectRot', 'triangle', 'cross', 'crossRot', 'star'].map((pointStyle, index) => ({
+                label: pointStyle,
+                pointStyle,
+                pointRadius: 7,
+                borderWidth: 2,
+                data: [1, 2, 3, 4, 5].map(x => ({ x, y: index + 1 + (x % 2) * 0.3 }))
+            }))
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                x: {
+                    suggestedMin: 0,
+                    suggestedMax: 6
+                }
+            }
+        }
+    },
+    parameters: {
+        docs: {
+            description: {
+                story: 'Every supported pointStyle. The cross styles are open strokes, so they take their colour from borderColor.'
+            }
+        }
+    }
+}
+
+export const Clusters = {
+    render: (args) => ({
+        components: { ScatterChart },
+        setup() {
+            return { args }
+        },
+        template: `
+            <div style="width: 100%; height: 400px; padding: 20px;">
+                <scatter-chart v-bind="args"/>
+            </div>
+        `
+    }),
+    args: {
+        data: {
+            datasets: [
+                {
+                    label: 'Segment A',
+                    data: [
+                        { x: -4.2, y: 2.1 }, { x: -3.6, y: 3.0 }, { x: -4.8, y: 2.7 }, { x: -3.1, y: 1.8 },
+                        { x: -3.9, y: 3.4 }, { x: -4.5, y: 1.5, label: 'Outlier 1' }
+                    ],
+                    backgroundColor: '#8b5cf6'
+                },
+                {
+                    label: 'Segment B',
+                    data: [
+                        { x: 1.2, y: -2.4 }, { x: 2.0, y: -1.6 }, { x: 1.7, y: -3.1 }, { x: 2.6, y: -2.2 },
+                        { x: 0.9, y: -1.9 }, { x: 3.8, y: 0.6, label: 'Outlier 2' }
+                    ],
+                    backgroundColor: '#f59e0b',
+                    pointStyle: 'triangle',
+                    pointRadius: 6
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                x: {
+                    beginAtZero: true,
+                    ticks: {
+                        stepSize: 1
+                    }
+                }
+            }
+        }
+    },
+    parameters: {
+        docs: {
+            description: {
+                story: 'Two groups spread across negative and positive values. Points with a label show it as the tooltip title, and either group can be hidden from the legend.'
+            }
+        }
+    }
+}
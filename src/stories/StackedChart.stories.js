@@ -489,6 +489,220 @@ export const ManyCategories = {
     }
 }
 
+export const Horizontal = {
+    render: (args) => ({
+        components: { StackedChart },
+        setup() {
+            return { args }
+        },
+        template: `
+            <div style="width: 100%; height: 400px; padding: 20px;">
+                <stacked-chart v-bind="args"/>
+            </div>
+        `
+    }),
+    args: {
+        data: {
+            labels: [
+                'Customer Support and Success',
+                'Research and Development',
+                'Sales and Business Development',
+                'Marketing Communications',
+                'Finance and Administration'
+            ],
+            datasets: [
+                {
+                    label: 'Permanent',
+                    data: [40, 80, 30, 18, 12],
+                    backgroundColor: '#3b82f6',
+                    borderWidth: 1
+                },
+                {
+                    label: 'Contractors',
+                    data: [8, 12, 5, 3, 2],
+                    backgroundColor: '#f59e0b',
+                    borderWidth: 1
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            indexAxis: 'y'
+        }
+    },
+    parameters: {
+        docs: {
+            description: {
+                story: 'Permanent and contract headcount per department, stacked horizontally along the X axis with indexAxis set to y.'
+            }
+        }
+    }
+}
+
+export const PercentStacked = {
+    render: (args) => ({
+        components: { StackedChart },
+        setup() {
+            return { args }
+        },
+        template: `
+            <div style="width: 100%; height: 400px; padding: 20px;">
+                <stacked-chart v-bind="args"/>
+            </div>
+        `
+    }),
+    args: {
+        data: {
+            labels: ['North', 'South', 'East', 'West'],
+            datasets: [
+                {
+                    label: 'Online',
+                    data: [420, 180, 305, 96],
+                    backgroundColor: '#3b82f6',
+                    borderWidth: 1
+                },
+                {
+                    label: 'Retail',
+                    data: [310, 260, 140, 210],
+                    backgroundColor: '#10b981',
+                    borderWidth: 1
+                },
+                {
+                    label: 'Wholesale',
+                    data: [120, 90, 215, 64],
+                    backgroundColor: '#f59e0b',
+                    borderWidth: 1
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            stackMode: 'percent'
+        }
+    },
+    parameters: {
+        docs: {
+            description: {
+                story: 'Sales channel mix per region with stackMode: percent, so each region fills 100%. Tooltips show the raw value alongside its share.'
+            }
+        }
+    }
+}
+
+export const StackGroups = {
+    render: (args) => ({
+        components: { StackedChart },
+        setup() {
+            return { args }
+        },
+        template: `
+            <div style="width: 100%; height: 400px; padding: 20px;">
+                <stacked-chart v-bind="args"/>
+            </div>
+        `
+    }),
+    args: {
+        data: {
+            labels: ['Q1', 'Q2', 'Q3', 'Q4'],
+            datasets: [
+                {
+                    label: 'Product (2024 actual)',
+                    data: [120, 135, 150, 170],
+                    backgroundColor: '#3b82f6',
+                    borderWidth: 1,
+                    stack: '2024 actual'
+                },
+                {
+                    label: 'Services (2024 actual)',
+                    data: [60, 64, 70, 82],
+                    backgroundColor: '#93c5fd',
+                    borderWidth: 1,
+                    stack: '2024 actual'
+                },
+                {
+                    label: 'Product (2025 forecast)',
+                    data: [140, 155, 168, 190],
+                    backgroundColor: '#8b5cf6',
+                    borderWidth: 1,
+                    stack: '2025 forecast'
+                },
+                {
+                    label: 'Services (2025 forecast)',
+                    data: [72, 78, 85, 96],
+                    backgroundColor: '#c4b5fd',
+                    borderWidth: 1,
+                    stack: '2025 forecast'
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false
+        }
+    },
+    parameters: {
+        docs: {
+            description: {
+                story: 'Datasets split into two side-by-side stacks per quarter using the dataset stack key.'
+            }
+        }
+    }
+}
+
+export const ProfitAndLoss = {
+    render: (args) => ({
+        components: { StackedChart },
+        setup() {
+            return { args }
+        },
+        template: `
+            <div style="width: 100%; height: 400px; padding: 20px;">
+                <stacked-chart v-bind="args"/>
+            </div>
+        `
+    }),
+    args: {
+        data: {
+            labels: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun'],
+            datasets: [
+                {
+                    label: 'Revenue',
+                    data: [50, 62, 58, 71, 66, 80],
+                    backgroundColor: '#10b981'
+                },
+                {
+                    label: 'Other income',
+                    data: [8, 5, 12, 6, 9, 7],
+                    backgroundColor: '#6ee7b7'
+                },
+                {
+                    label: 'Cost of sales',
+                    data: [-30, -34, -33, -40, -38, -42],
+                    backgroundColor: '#ef4444'
+                },
+                {
+                    label: 'Operating expenses',
+                    data: [-18, -20, -25, -19, -21, -22],
+                    backgroundColor: '#fca5a5'
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false
+        }
+    },
+    parameters: {
+        docs: {
+            description: {
+                story: 'Income stacks up from zero while costs stack down from it, so the axis covers both totals for each month.'
+            }
+        }
+    }
+}
+
 export const WithLoadingSpinner = {
     render: (args) => ({
         components: { StackedChart },
@@ -1,3 +1,4 @@
+import { ref } from 'vue'
 import TimelineChart from '../components/charts/TimelineChart.vue'
 
 export default {
@@ -115,3 +116,63 @@ export const Default = {
         }
     }
 }
+
+export const RangeDataExport = {
+    render: (args) => ({
+        components: { AreaChart: TimelineChart },
+        setup() {
+            const chartRef = ref(null)
+            const csv = ref('')
+
+            const showCsv = async () => {
+                csv.value = await chartRef.value.exportData('csv').text()
+            }
+
+            return { args, chartRef, csv, showCsv }
+        },
+        template: `
+            <div style="width: 100%;">
+                <div style="width: 100%; height: 400px;">
+                    <area-chart ref="chartRef" v-bind="args" />
+                </div>
+                <button
+                    @click="showCsv"
+                    style="margin-top: 16px; padding: 8px 16px; background: #3b82f6; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 14px; font-weight: 500;"
+                >
+                    Show CSV for Selected Range
+                </button>
+                <pre
+                    v-if="csv"
+                    style="margin-top: 16px; padding: 12px; background: #f9fafb; border: 1px solid #e5e7eb; border-radius: 8px; font-size: 12px;"
+                >{{ csv }}</pre>
+            </div>
+        `
+    }),
+    args: {
+        data: {
+            labels: ['01 Mar', '02 Mar', '03 Mar', '04 Mar', '05 Mar', '06 Mar', '07 Mar', '08 Mar', '09 Mar', '10 Mar'],
+            datasets: [
+                { label: 'Closing Price', data: [101.2, 102.8, 101.9, 104.3, 105.1, 103.7, 106.4, 107.9, 106.2, 108.5], fill: true },
+                { label: 'Volume (k)', data: [320, 410, 280, 505, 460, 390, 530, 610, 470, 550] }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                export: {
+                    display: true,
+                    filename: 'prices'
+                }
+            }
+        },
+        showRangeSelector: true
+    },
+    parameters: {
+        docs: {
+            description: {
+                story: 'Drag the range handles, then export: `exportData(\'csv\')` on the chart ref, and the CSV and JSON items in the export menu, only include the selected dates and the datasets left visible in the legend. The menu can also swap the chart for a data table.'
+            }
+        }
+    }
+}
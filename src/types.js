@@ -7,21 +7,28 @@
  * Dataset object containing chart data and styling
  * @typedef {Object} Dataset
  * @property {string} [label] - Dataset label for legend
- * @property {number[]} data - Array of numeric data points
+ * @property {Array<number|null>|Array<DataPoint|null>|MatrixCell[]} data - Array of numeric data points (null or undefined marks a missing value), {x, y} points for scatter and bubble charts, or {x, y, v} cells for heatmaps
  * @property {string} [backgroundColor] - Background color (hex, rgb, rgba)
  * @property {string} [borderColor] - Border color (hex, rgb, rgba)
  * @property {number} [borderWidth=1] - Border width in pixels
  * @property {boolean} [hidden=false] - Whether dataset is hidden
  * @property {number} [tension=0] - Line tension for line charts (0-1)
  * @property {boolean} [fill=false] - Whether to fill area under line
- * @property {string} [pointStyle='circle'] - Point style for line charts
- * @property {number} [pointRadius=3] - Point radius for line charts
+ * @property {'bar'|'line'} [type='bar'] - How the dataset is drawn in a combo chart
+ * @property {PointStyle} [pointStyle='circle'] - Marker shape for scatter chart points
+ * @property {number} [pointRadius=4] - Point radius for line and scatter charts
+ * @property {boolean} [spanGaps] - Line charts: connect the line across missing values (overrides the chart's spanGaps)
+ * @property {string} [yAxisID='y'] - ID of the Y scale the dataset is plotted against (e.g. 'y1')
+ * @property {string} [xAxisID='x'] - ID of the X scale the dataset is plotted against on horizontal charts
+ * @property {ColorScaleConfig} [colorScale] - Bar charts: colour each bar by its value instead of backgroundColor
+ * @property {string} [stack] - Stack group key; stacked charts draw each group as a separate bar within a category
  */
 
 /**
  * Chart data structure following Chart.js pattern
  * @typedef {Object} ChartData
- * @property {string[]} labels - Array of labels for data points
+ * @property {Array<string|Date|number>} labels - Array of labels for data points (Date objects, ISO strings or timestamps for time scales; optional for scatter and bubble charts; heatmap column categories, left to right)
+ * @property {Array<string|number>} [yLabels] - Heatmap row categories, top to bottom (defaults to the order cells first appear)
  * @property {Dataset[]} datasets - Array of dataset objects
  */
 
@@ -31,9 +38,10 @@
  * @property {boolean} [display=true] - Whether to display ticks
  * @property {string} [color='#666'] - Tick label color
  * @property {number} [font.size=12] - Font size for tick labels
- * @property {Function} [callback] - Callback function to format tick values
+ * @property {(value: number|string, index: number, ticks: Array<{value: number|string}>) => string|null} [callback] - Callback to format tick labels (return null to hide a label)
+ * @property {Intl.NumberFormatOptions} [numberFormat] - Intl.NumberFormat options for numeric tick labels (merged over the chart's numberFormat)
  * @property {number} [maxTicksLimit] - Maximum number of ticks
- * @property {number} [stepSize] - Fixed step size between ticks
+ * @property {number} [stepSize] - Fixed step size between ticks (ignored, in favour of an automatic step, if it isn't positive or would give more than 1000 ticks)
  */
 
 /**
@@ -45,6 +53,15 @@
  * @property {boolean} [drawBorder=true] - Whether to draw border
  * @property {boolean} [drawOnChartArea=true] - Whether to draw on chart area
  * @property {boolean} [drawTicks=true] - Whether to draw tick marks
+ * @property {boolean} [circular=false] - Radial scale only: draw rings as circles instead of polygons
+ */
+
+/**
+ * Time scale configuration
+ * @typedef {Object} TimeScaleOptions
+ * @property {string} [unit] - Force tick unit (minute, hour, day, week, month, year)
+ * @property {number} [stepSize] - Number of units between ticks (ignored unless it is a positive number)
+ * @property {Object<string, Intl.DateTimeFormatOptions>} [displayFormats] - Tick label formats keyed by unit
  */
 
 /**
@@ -53,11 +70,17 @@
  * @property {boolean} [display=true] - Whether to display the axis
  * @property {string} [type='linear'] - Scale type (linear, logarithmic, time, category)
  * @property {boolean} [beginAtZero=false] - Whether to start at zero
- * @property {number} [min] - Minimum value for scale
- * @property {number} [max] - Maximum value for scale
+ * @property {number} [min] - Minimum value for scale (used exactly, overriding the data range)
+ * @property {number} [max] - Maximum value for scale (used exactly, overriding the data range)
+ * @property {number} [suggestedMin] - Lower bound used only if the data does not go below it
+ * @property {number} [suggestedMax] - Upper bound used only if the data does not go above it
+ * @property {TimeScaleOptions} [time] - Time scale configuration (type 'time' only)
  * @property {ScaleTicks} [ticks] - Tick configuration
  * @property {ScaleGrid} [grid] - Grid configuration
  * @property {string} [position='left'] - Axis position (left, right, top, bottom)
+ * @property {string} [axis] - Axis direction ('x' or 'y') for scale IDs that don't start with it
+ * @property {{display?: boolean, color?: string}} [angleLines] - Radial scale only: spokes from the centre to each label
+ * @property {{display?: boolean, color?: string}} [pointLabels] - Radial scale only: labels at the end of each spoke
  * @property {string} [title.display=false] - Whether to show axis title
  * @property {string} [title.text] - Axis title text
  */
@@ -67,6 +90,8 @@
  * @typedef {Object} ScalesConfig
  * @property {ScaleConfig} [x] - X-axis configuration
  * @property {ScaleConfig} [y] - Y-axis configuration
+ * @property {ScaleConfig} [y1] - Additional Y axes are keyed by ID (e.g. y1 with position 'right')
+ * @property {ScaleConfig} [r] - Radial scale for radar charts (beginAtZero defaults to true; grid.circular draws round rings)
  */
 
 /**
@@ -86,16 +111,44 @@
  * Tooltip configuration
  * @typedef {Object} TooltipConfig
  * @property {boolean} [enabled=true] - Whether tooltips are enabled
- * @property {string} [mode='nearest'] - Tooltip mode (point, nearest, index, dataset)
- * @property {boolean} [intersect=true] - Whether tooltip requires intersection
+ * @property {string} [mode='index'] - Interaction mode (point, nearest, index, dataset)
+ * @property {boolean} [intersect=false] - Whether the pointer must be over a data point to activate it
  * @property {string} [backgroundColor='rgba(0,0,0,0.8)'] - Tooltip background color
  * @property {string} [titleColor='#fff'] - Title text color
  * @property {string} [bodyColor='#fff'] - Body text color
  * @property {number} [borderWidth=0] - Border width
  * @property {string} [borderColor='rgba(0,0,0,0)'] - Border color
  * @property {number} [padding=6] - Internal padding
- * @property {Function} [callbacks.label] - Callback to format tooltip labels
- * @property {Function} [callbacks.title] - Callback to format tooltip title
+ * @property {(item: TooltipItem) => string|null} [callbacks.label] - Callback returning the text for an item's line (null keeps the default "label: value")
+ * @property {(items: TooltipItem[]) => string} [callbacks.title] - Callback returning the tooltip title
+ */
+
+/**
+ * Export toolbar button configuration
+ * @typedef {Object} ExportConfig
+ * @property {boolean} [display=false] - Whether to show the export button in the chart's top right corner
+ * @property {Array<'png'|'svg'|'clipboard'|'csv'|'json'>} [formats=['png', 'svg', 'clipboard', 'csv', 'json']] - Formats offered in the export menu
+ * @property {boolean} [dataTable=true] - Whether the menu offers a data table view of the chart
+ * @property {string} [filename='chart'] - Downloaded file name, without extension
+ * @property {number} [pixelRatio=2] - PNG pixels per CSS pixel
+ */
+
+/**
+ * Options for exportChart and serializeChart
+ * @typedef {Object} ChartExportOptions
+ * @property {number} [pixelRatio=window.devicePixelRatio] - PNG pixels per CSS pixel
+ * @property {string} [background] - Background colour, or 'transparent' (defaults to the theme background, else white)
+ * @property {boolean} [includeLegend=true] - Whether to draw the legend into the image
+ * @property {string} [filename] - Download the image under this name (extension added by format)
+ */
+
+/**
+ * Options for exportData
+ * @typedef {Object} ChartDataExportOptions
+ * @property {number[]} [hiddenDatasets=[]] - Indices of datasets to leave out
+ * @property {number[]} [hiddenLabels=[]] - Indices of labels (and their values) to leave out
+ * @property {string} [delimiter=','] - CSV field delimiter
+ * @property {string} [filename] - Download the file under this name (extension added by format)
  */
 
 /**
@@ -103,6 +156,7 @@
  * @typedef {Object} PluginConfig
  * @property {LegendConfig} [legend] - Legend configuration
  * @property {TooltipConfig} [tooltip] - Tooltip configuration
+ * @property {ExportConfig} [export] - Export toolbar button configuration
  * @property {Object} [title] - Title plugin configuration
  * @property {boolean} [title.display=false] - Whether to display title
  * @property {string} [title.text] - Title text
@@ -116,14 +170,39 @@
  * @property {number} [aspectRatio=2] - Aspect ratio (width/height)
  * @property {ScalesConfig} [scales] - Scales configuration
  * @property {PluginConfig} [plugins] - Plugin configuration
- * @property {string[]} [colors] - Custom color palette
- * @property {Object} [animation] - Animation configuration
- * @property {number} [animation.duration=1000] - Animation duration in ms
- * @property {string} [animation.easing='easeInOutQuart'] - Animation easing
+ * @property {string[]|'default'|'okabe-ito'|'tol-bright'|'tol-muted'|'ibm'} [colors] - Custom color palette, or the name of a built-in palette (the non-default ones are colour-blind safe)
+ * @property {boolean|PatternStyle[]} [patterns=false] - Fill bars, stacked segments and pie slices with per-series SVG patterns; an array sets the style order
+ * @property {ChartThemeSetting} [theme] - Theme for this chart, overriding one provided by provideChartTheme or the theme plugin
+ * @property {boolean} [spanGaps=false] - Line charts: connect lines across missing values instead of breaking them
+ * @property {ColorScaleConfig} [colorScale] - Heatmap cell colours; on pie charts, colours slices by value instead of backgroundColor
+ * @property {number} [cellGap=2] - Heatmap: gap between cells in pixels
+ * @property {string} [emptyColor] - Heatmap: fill for cells without a value
+ * @property {'pie'|'polarArea'} [variant='pie'] - Pie charts: 'polarArea' gives every slice an equal angle and scales its radius with the value on a radial axis (configured under scales.r)
+ * @property {'normal'|'percent'} [stackMode='normal'] - Stacked chart mode; 'percent' scales every stack to 100% (negative shares stack down to -100%)
+ * @property {'x'|'y'} [indexAxis='x'] - Axis the categories run along; 'y' draws horizontal bars (bar and stacked charts), with the value scale configured under scales.x
+ * @property {string} [locale] - BCP 47 locale for number and date formatting (browser default if unset)
+ * @property {Intl.NumberFormatOptions} [numberFormat] - Intl.NumberFormat options for values in ticks, tooltips and labels
+ * @property {Object|false} [animation] - Entry and update animations (false turns them off; they are also skipped when the user prefers reduced motion)
+ * @property {boolean} [animation.enabled=true] - Whether charts animate
+ * @property {number} [animation.duration=300] - Animation duration in ms
+ * @property {EasingName} [animation.easing='easeInOutQuart'] - Animation easing
  * @property {Function} [onClick] - Click event handler
  * @property {Function} [onHover] - Hover event handler
  */
 
+/**
+ * Chart type, as used for per-type defaults
+ * @typedef {'bar'|'line'|'pie'|'stacked'|'scatter'|'bubble'|'combo'|'radar'|'heatmap'|'timeline'} ChartType
+ */
+
+/**
+ * Options for createVueCharts
+ * @typedef {Object} VueChartsOptions
+ * @property {ChartOptions & Object<ChartType, ChartOptions>} [defaults] - Options for every chart; keys named after a chart type hold defaults for that type only
+ * @property {ChartThemeSetting|import('vue').Ref<ChartThemeSetting>} [theme] - Theme provided to every chart (none by default)
+ * @property {string} [locale] - Locale for every chart, shorthand for defaults.locale
+ */
+
 /**
  * Chart area dimensions and position
  * @typedef {Object} ChartArea
@@ -153,6 +232,31 @@
  * @property {number} b - Blue value (0-255)
  */
 
+/**
+ * RGB color with alpha channel
+ * @typedef {Object} RGBAColor
+ * @property {number} r - Red value (0-255)
+ * @property {number} g - Green value (0-255)
+ * @property {number} b - Blue value (0-255)
+ * @property {number} [a=1] - Alpha value (0-1)
+ */
+
+/**
+ * CIE Lab color (D65 white point)
+ * @typedef {Object} LabColor
+ * @property {number} l - Lightness (0-100)
+ * @property {number} a - Green (negative) to red (positive) axis
+ * @property {number} b - Blue (negative) to yellow (positive) axis
+ */
+
+/**
+ * OKLCH color
+ * @typedef {Object} OklchColor
+ * @property {number} l - Perceptual lightness (0-1)
+ * @property {number} c - Chroma (0 for greys, up to about 0.37)
+ * @property {number} h - Hue angle in degrees (0-360)
+ */
+
 /**
  * Data range object
  * @typedef {Object} DataRange
@@ -160,13 +264,34 @@
  * @property {number} max - Maximum value in range
  */
 
+/**
+ * Time scale range derived from chart labels
+ * @typedef {Object} TimeRange
+ * @property {number} min - Start timestamp in milliseconds
+ * @property {number} max - End timestamp in milliseconds
+ * @property {Array<number|null>} timestamps - Parsed timestamp for each label (null if unparseable)
+ * @property {boolean} hasTime - Whether any label has a time-of-day component
+ */
+
 /**
  * Nice scale calculation result
  * @typedef {Object} NiceScale
  * @property {number} min - Nice minimum value
  * @property {number} max - Nice maximum value
- * @property {number} step - Step size between ticks
- * @property {number} ticks - Number of ticks
+ * @property {number} step - Step size between ticks (multiplicative factor on logarithmic scales)
+ * @property {number} ticks - Number of ticks (decades on logarithmic scales)
+ */
+
+/**
+ * Stacked bar segment
+ * @typedef {Object} StackSegment
+ * @property {number} datasetIndex - Index of the dataset the segment belongs to
+ * @property {string} stack - Stack group key ('default' for datasets without one)
+ * @property {number} stackIndex - Position of the stack group within the category
+ * @property {number} value - Original data value
+ * @property {number} start - Cumulative value where the segment starts, nearest zero (share of 100 in percent mode)
+ * @property {number} end - Cumulative value where the segment ends, below start for negative values (share of 100 in percent mode)
+ * @property {number} percentage - Signed share of the stack's absolute total (-100 to 100)
  */
 
 /**
@@ -185,19 +310,119 @@
  * @property {number} y - Y coordinate
  */
 
+/**
+ * Data point for scatter and bubble charts
+ * @typedef {Object} DataPoint
+ * @property {number} x - X value
+ * @property {number} y - Y value
+ * @property {number} [r] - Bubble radius in pixels (bubble charts only)
+ * @property {string} [label] - Optional label shown as the tooltip title
+ */
+
+/**
+ * Heatmap cell: one value at the intersection of an X and a Y category
+ * @typedef {Object} MatrixCell
+ * @property {string|number} x - X (column) category
+ * @property {string|number} y - Y (row) category
+ * @property {number|null} [v] - Cell value (null or undefined leaves the cell empty)
+ */
+
+/**
+ * Colour scale mapping numeric values to colours
+ * @typedef {Object} ColorScaleConfig
+ * @property {string} [scheme='blues'] - Name of a COLOR_SCHEMES preset (e.g. 'viridis', 'blueRed')
+ * @property {string[]} [colors] - Colour stops from the lowest to the highest value (overrides scheme)
+ * @property {number} [min] - Value mapped to the first colour (defaults to the data minimum)
+ * @property {number} [max] - Value mapped to the last colour (defaults to the data maximum)
+ * @property {number} [center] - Value mapped to the middle of the range, for diverging schemes
+ * @property {ColorInterpolationMode} [mode='lab'] - Colour space to interpolate in
+ */
+
+/**
+ * Colour space used to interpolate between colours
+ * @typedef {'rgb'|'lab'|'oklch'} ColorInterpolationMode
+ */
+
+/**
+ * Name of an animation easing function
+ * @typedef {'linear'|'easeInQuad'|'easeOutQuad'|'easeInOutQuad'|'easeInCubic'|'easeOutCubic'|'easeInOutCubic'|'easeInQuart'|'easeOutQuart'|'easeInOutQuart'} EasingName
+ */
+/**
+ * Marker shape for data points
+ * @typedef {'circle'|'rect'|'rectRot'|'triangle'|'cross'|'crossRot'|'star'} PointStyle
+ */
+
+/**
+ * Fill pattern style
+ * @typedef {'diagonal'|'dots'|'horizontal'|'diagonalReverse'|'cross'|'zigzag'|'vertical'|'squares'|'crossDiagonal'} PatternStyle
+ */
+
+/**
+ * SVG fill pattern for one series
+ * @typedef {Object} ChartPattern
+ * @property {string} id - Element ID, referenced as url(#id)
+ * @property {PatternStyle} style - Pattern style
+ * @property {string} color - Background colour of the tile
+ * @property {string} markColor - Colour of the pattern marks
+ * @property {number} size - Tile size in pixels
+ * @property {string} d - SVG path data for the marks
+ * @property {boolean} filled - Whether the marks are filled (true) or stroked (false)
+ */
+
+/**
+ * Chart theme: the colours and font every chart component draws with
+ * @typedef {Object} ChartTheme
+ * @property {string} name - Theme name
+ * @property {'light'|'dark'} colorScheme - Colour scheme, applied as the container's color-scheme
+ * @property {string[]|string} palette - Default dataset colours, or the name of a COLOR_PALETTES entry
+ * @property {string} background - Chart background (also outlines points and pie slices)
+ * @property {{family: string}} font - Font family
+ * @property {{color: string, emphasisColor: string}} text - Label colour, and the colour of emphasised text such as a donut's center label
+ * @property {{color: string}} grid - Grid line colour
+ * @property {{color: string}} axis - Axis line and tick label colour
+ * @property {{background: string, color: string}} tooltip - Tooltip background (any CSS background) and text colour
+ * @property {{color: string, hoverBackground: string}} legend - Legend text colour and item hover background
+ */
+
+/**
+ * Theme setting: a preset name, 'auto' to follow prefers-color-scheme, or theme overrides
+ * applied over the preset named by `base` ('light' by default)
+ * @typedef {'light'|'dark'|'auto'|(Partial<ChartTheme> & {base?: 'light'|'dark'|'auto'})} ChartThemeSetting
+ */
+
+/**
+ * Hoverable data element used to resolve interaction modes
+ * @typedef {Object} InteractionElement
+ * @property {number} x - X position in SVG units
+ * @property {number} y - Y position in SVG units
+ * @property {number} [radius] - Hit radius in SVG units
+ * @property {{x: number, y: number, width: number, height: number}} [bounds] - Hit rectangle for area elements such as bars (used instead of radius)
+ * @property {number} datasetIndex - Index of the dataset among visible datasets
+ * @property {number} index - Index of the data point within the dataset
+ * @property {number} value - Data value
+ */
+
 /**
  * Tooltip data structure
  * @typedef {Object} TooltipData
  * @property {string} title - Tooltip title
  * @property {TooltipItem[]} items - Array of tooltip items
+ * @property {string|Date|number} [label] - Raw label of the hovered data point
+ * @property {number} [dataIndex] - Index of the hovered data point
  */
 
 /**
  * Individual tooltip item
  * @typedef {Object} TooltipItem
  * @property {string} label - Item label
- * @property {number|string} value - Item value
+ * @property {number|string} value - Formatted item value
  * @property {string} color - Item color
+ * @property {number} [raw] - Unformatted data value
+ * @property {Dataset} [dataset] - Dataset the item belongs to
+ * @property {number} [datasetIndex] - Index of the dataset among visible datasets
+ * @property {number} [dataIndex] - Index of the data point within the dataset
+ * @property {number} [percentage] - Share of the total (pie charts only)
+ * @property {string} [text] - Line text returned by callbacks.label, shown instead of label and value
  */
 
 /**
@@ -217,6 +442,23 @@
  * @property {number} value - Value of the clicked bar
  */
 
+/**
+ * Point click event payload for scatter and bubble charts
+ * @typedef {Object} PointClickEvent
+ * @property {string} [label] - The point's label, if it has one
+ * @property {number} datasetIndex - Index of the dataset among visible datasets
+ * @property {DataPoint} value - The clicked data point
+ */
+
+/**
+ * Cell click event payload (heatmap charts)
+ * @typedef {Object} CellClickEvent
+ * @property {string|number} x - Column category of the clicked cell
+ * @property {string|number} y - Row category of the clicked cell
+ * @property {number|null} value - Cell value
+ * @property {number} dataIndex - Index of the cell within the dataset
+ */
+
 /**
  * Legend toggle event payload
  * @typedef {Object} LegendToggleEvent
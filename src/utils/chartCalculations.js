@@ -1,9 +1,24 @@
+/**
+ * Check whether a data value is missing (null, undefined or not a finite number)
+ * Missing values are drawn as gaps and ignored when calculating ranges
+ * @param {*} value - Data value to check
+ * @returns {boolean} True if the value should be treated as a gap
+ * @example
+ * isMissingValue(null) // Returns: true
+ * isMissingValue(NaN) // Returns: true
+ * isMissingValue(0) // Returns: false
+ */
+export function isMissingValue(value) {
+    return typeof value !== 'number' || !isFinite(value)
+}
+
 /**
  * Calculate min and max values from datasets
+ * Missing values (null, undefined, NaN) are ignored
  * @param {import('../types.js').Dataset[]} datasets - Array of dataset objects
  * @returns {import('../types.js').DataRange} Object containing min and max values
  * @example
- * const range = getDataRange([{ data: [1, 2, 3] }, { data: [4, 5, 6] }])
+ * const range = getDataRange([{ data: [1, 2, 3] }, { data: [4, null, 6] }])
  * // Returns: { min: 1, max: 6 }
  */
 export function getDataRange(datasets) {
@@ -12,6 +27,7 @@ export function getDataRange(datasets) {
 
     datasets.forEach(dataset => {
         dataset.data.forEach(value => {
+            if (isMissingValue(value)) return
             if (value < min) min = value
             if (value > max) max = value
         })
@@ -20,6 +36,91 @@ export function getDataRange(datasets) {
     return { min, max }
 }
 
+/**
+ * Split a series of points into continuous segments at missing values
+ * Each point carries the index of its data value; a jump in index marks a gap.
+ * With spanGaps every point joins a single segment so the line connects across gaps.
+ * @param {Array<{index: number}>} points - Points for the present values, in index order
+ * @param {boolean} [spanGaps=false] - Whether to connect across gaps
+ * @returns {Array<Array<{index: number}>>} Continuous runs of points
+ * @example
+ * splitAtGaps([{ index: 0 }, { index: 1 }, { index: 3 }])
+ * // Returns: [[{ index: 0 }, { index: 1 }], [{ index: 3 }]]
+ * splitAtGaps([{ index: 0 }, { index: 1 }, { index: 3 }], true)
+ * // Returns: [[{ index: 0 }, { index: 1 }, { index: 3 }]]
+ */
+export function splitAtGaps(points, spanGaps = false) {
+    if (points.length === 0) return []
+    if (spanGaps) return [points]
+
+    return points.reduce((segments, point, position) => {
+        if (position === 0 || point.index !== points[position - 1].index + 1) {
+            segments.push([point])
+        } else {
+            segments[segments.length - 1].push(point)
+        }
+        return segments
+    }, [])
+}
+
+/**
+ * Create SVG path data string for a line through a run of points
+ * A tension of 0 joins the points with straight segments; otherwise the line is a
+ * cardinal spline whose control points are scaled by the tension
+ * @param {import('../types.js').Point[]} points - Points in drawing order
+ * @param {number} [tension=0] - Curve tension (0 for straight lines)
+ * @returns {string} SVG path data string (M, L or C commands)
+ * @example
+ * describeLinePath([{ x: 0, y: 10 }, { x: 50, y: 0 }])
+ * // Returns: "M 0,10 L 50,0"
+ */
+export function describeLinePath(points, tension = 0) {
+    if (points.length === 0) return ''
+
+    if (tension === 0 || points.length < 2) {
+        return points.map((point, index) => {
+            return index === 0 ? `M ${point.x},${point.y}` : `L ${point.x},${point.y}`
+        }).join(' ')
+    }
+
+    let path = `M ${points[0].x},${points[0].y}`
+
+    for (let i = 0; i < points.length - 1; i++) {
+        const p0 = points[i > 0 ? i - 1 : i]
+        const p1 = points[i]
+        const p2 = points[i + 1]
+        const p3 = points[i + 2 < points.length ? i + 2 : i + 1]
+
+        const cp1x = p1.x + (p2.x - p0.x) / 6 * tension
+        const cp1y = p1.y + (p2.y - p0.y) / 6 * tension
+        const cp2x = p2.x - (p3.x - p1.x) / 6 * tension
+        const cp2y = p2.y - (p3.y - p1.y) / 6 * tension
+
+        path += ` C ${cp1x},${cp1y} ${cp2x},${cp2y} ${p2.x},${p2.y}`
+    }
+
+    return path
+}
+
+/**
+ * Create SVG path data string for the area between a line and a horizontal baseline
+ * @param {import('../types.js').Point[]} points - Points in drawing order
+ * @param {number} baseY - Y coordinate of the baseline the area closes against
+ * @param {number} [tension=0] - Curve tension of the line (0 for straight lines)
+ * @returns {string} SVG path data string, closed with Z
+ * @example
+ * describeAreaPath([{ x: 0, y: 10 }, { x: 50, y: 0 }], 100)
+ * // Returns: "M 0,10 L 50,0 L 50,100 L 0,100 Z"
+ */
+export function describeAreaPath(points, baseY, tension = 0) {
+    if (points.length === 0) return ''
+
+    const firstPoint = points[0]
+    const lastPoint = points[points.length - 1]
+
+    return `${describeLinePath(points, tension)} L ${lastPoint.x},${baseY} L ${firstPoint.x},${baseY} Z`
+}
+
 /**
  * Calculate nice scale range for axis with rounded values
  * @param {number} min - Minimum value from data
@@ -57,9 +158,175 @@ export function calculateNiceScale(min, max, ticks = 5) {
     }
 }
 
+/**
+ * Calculate linear axis scale honouring explicit and suggested bounds
+ * Explicit min/max are used exactly; suggested bounds only widen the data range.
+ * Without a fixed stepSize a nice step is chosen, reducing the tick count until maxTicksLimit is met.
+ * A stepSize that would produce more than 1000 ticks across the range is ignored and a nice step
+ * is chosen instead, as are stepSizes that aren't positive.
+ * @param {number} min - Minimum value from data
+ * @param {number} max - Maximum value from data
+ * @param {{
+ *   min?: number,
+ *   max?: number,
+ *   suggestedMin?: number,
+ *   suggestedMax?: number,
+ *   stepSize?: number,
+ *   maxTicksLimit?: number
+ * }} [options={}] - Scale bound and tick options
+ * @returns {import('../types.js').NiceScale} Object with min, max, step, and tick count
+ * @example
+ * calculateLinearScale(12, 64, { min: 0, max: 100 })
+ * // Returns: { min: 0, max: 100, step: 50, ticks: 3 }
+ * calculateLinearScale(12, 64, { min: 0, max: 100, stepSize: 20 })
+ * // Returns: { min: 0, max: 100, step: 20, ticks: 6 }
+ * calculateLinearScale(12, 64, { stepSize: 10 })
+ * // Returns: { min: 10, max: 70, step: 10, ticks: 7 }
+ */
+export function calculateLinearScale(min, max, options = {}) {
+    const hasMin = isFinite(options.min) && options.min !== null
+    const hasMax = isFinite(options.max) && options.max !== null
+
+    let lower = hasMin ? options.min : min
+    let upper = hasMax ? options.max : max
+
+    if (!hasMin && isFinite(options.suggestedMin) && options.suggestedMin !== null) {
+        lower = Math.min(lower, options.suggestedMin)
+    }
+    if (!hasMax && isFinite(options.suggestedMax) && options.suggestedMax !== null) {
+        upper = Math.max(upper, options.suggestedMax)
+    }
+
+    if (!isFinite(lower) || !isFinite(upper)) {
+        lower = 0
+        upper = 10
+    }
+
+    // Avoid a zero-height range (e.g. a flat line) which cannot be scaled
+    if (upper <= lower) {
+        if (hasMax && !hasMin) {
+            lower = upper - 1
+        } else {
+            upper = lower + (lower === 0 ? 10 : Math.abs(lower))
+        }
+    }
+
+    let step = options.stepSize > 0 && (upper - lower) / options.stepSize <= 1000
+        ? options.stepSize
+        : null
+
+    if (step === null) {
+        const limit = options.maxTicksLimit > 1 ? options.maxTicksLimit : null
+        let desired = limit ? Math.min(limit, 5) : 5
+        let nice = calculateNiceScale(lower, upper, desired)
+
+        while (limit && nice.ticks > limit && desired > 2) {
+            desired--
+            nice = calculateNiceScale(lower, upper, desired)
+        }
+
+        step = nice.step
+    }
+
+    const scaleMin = hasMin ? lower : Math.floor(lower / step) * step
+    const scaleMax = hasMax ? upper : Math.ceil(upper / step) * step
+
+    return {
+        min: scaleMin,
+        max: scaleMax,
+        step,
+        ticks: generateLinearTicks(scaleMin, scaleMax, step).length
+    }
+}
+
+/**
+ * Generate tick values at multiples of a step within a range
+ * @param {number} min - Scale minimum
+ * @param {number} max - Scale maximum
+ * @param {number} step - Step between ticks
+ * @returns {number[]} Tick values in ascending order
+ * @example
+ * generateLinearTicks(0, 100, 25) // Returns: [0, 25, 50, 75, 100]
+ * generateLinearTicks(5, 95, 20) // Returns: [20, 40, 60, 80]
+ */
+export function generateLinearTicks(min, max, step) {
+    const ticks = []
+    const epsilon = step * 1e-9
+    const first = Math.ceil((min - epsilon) / step)
+    const last = Math.floor((max + epsilon) / step)
+
+    for (let index = first; index <= last; index++) {
+        // Round to avoid floating point noise such as 0.30000000000000004
+        ticks.push(parseFloat((index * step).toPrecision(12)))
+    }
+
+    return ticks
+}
+
+/**
+ * Calculate logarithmic scale range snapped to whole decades
+ * Non-positive bounds cannot be shown on a log axis and fall back to the nearest valid decade
+ * @param {number} min - Smallest positive value from data
+ * @param {number} max - Largest value from data
+ * @returns {import('../types.js').NiceScale} Object with decade min, max, multiplicative step (10) and decade tick count
+ * @example
+ * const scale = calculateLogScale(3, 4500)
+ * // Returns: { min: 1, max: 10000, step: 10, ticks: 5 }
+ */
+export function calculateLogScale(min, max) {
+    const validMax = max > 0 && isFinite(max) ? max : 10
+    const validMin = min > 0 && isFinite(min) ? Math.min(min, validMax) : validMax / 10
+
+    const minExponent = Math.floor(Math.log10(validMin))
+    let maxExponent = Math.ceil(Math.log10(validMax))
+    if (maxExponent <= minExponent) {
+        maxExponent = minExponent + 1
+    }
+
+    return {
+        min: Math.pow(10, minExponent),
+        max: Math.pow(10, maxExponent),
+        step: 10,
+        ticks: maxExponent - minExponent + 1
+    }
+}
+
+/**
+ * Generate tick values for a logarithmic scale
+ * Each decade is a major tick, with minor ticks at 2-9 times the decade
+ * @param {number} min - Scale minimum (a power of 10)
+ * @param {number} max - Scale maximum (a power of 10)
+ * @returns {Array<{value: number, minor: boolean}>} Tick values in ascending order
+ * Ticks are limited to the range, so explicit non-decade bounds are supported
+ * @example
+ * generateLogTicks(1, 100)
+ * // Returns: [{ value: 1, minor: false }, { value: 2, minor: true }, ..., { value: 100, minor: false }]
+ */
+export function generateLogTicks(min, max) {
+    const ticks = []
+    const minExponent = Math.floor(Math.log10(min) + 1e-9)
+    const maxExponent = Math.ceil(Math.log10(max) - 1e-9)
+    const tolerance = 1e-9
+
+    for (let exponent = minExponent; exponent <= maxExponent; exponent++) {
+        const decade = Math.pow(10, exponent)
+
+        for (let multiple = 1; multiple < 10; multiple++) {
+            // Round to avoid floating point noise such as 0.30000000000000004
+            const value = parseFloat((multiple * decade).toPrecision(12))
+            if (value < min * (1 - tolerance)) continue
+            if (value > max * (1 + tolerance)) break
+            ticks.push({ value, minor: multiple !== 1 })
+        }
+    }
+
+    return ticks
+}
+
 /**
  * Calculate stacked values for stacked charts
- * Sums values at each index across all datasets
+ * Sums values at each index across all datasets, giving the net total
+ * (use calculateStackLayout for drawing, which stacks negative values separately)
  * @param {import('../types.js').Dataset[]} datasets - Array of dataset objects
  * @returns {number[]} Array of stacked totals for each data point
  * @example
@@ -84,6 +351,75 @@ export function calculateStackedValues(datasets) {
     return stacked
 }
 
+/**
+ * Lay out stacked bar segments for each category, grouped by each dataset's stack key
+ * Datasets without a stack key share one default stack. Positive values stack upwards
+ * from zero and negative values stack downwards from zero, independently of each other.
+ * Segment start is the cumulative value nearest zero and end the one furthest from it,
+ * or cumulative shares of the stack's absolute total (-100 to 100) in percent mode.
+ * Zero and non-numeric values produce no segment.
+ * @param {import('../types.js').Dataset[]} datasets - Array of dataset objects
+ * @param {{percent?: boolean}} [options={}] - Whether to normalise each stack to 100%
+ * @returns {{stacks: string[], segments: import('../types.js').StackSegment[][]}} Stack keys in order of first use, and the segments for each category
+ * @example
+ * const { stacks, segments } = calculateStackLayout([
+ *   { data: [50], stack: 'pnl' },
+ *   { data: [-30], stack: 'pnl' },
+ *   { data: [25], stack: 'forecast' }
+ * ])
+ * // stacks: ['pnl', 'forecast']
+ * // segments[0]: [
+ * //   { datasetIndex: 0, stack: 'pnl', stackIndex: 0, value: 50, start: 0, end: 50, percentage: 62.5 },
+ * //   { datasetIndex: 1, stack: 'pnl', stackIndex: 0, value: -30, start: 0, end: -30, percentage: -37.5 },
+ * //   { datasetIndex: 2, stack: 'forecast', stackIndex: 1, value: 25, start: 0, end: 25, percentage: 100 }
+ * // ]
+ */
+export function calculateStackLayout(datasets, options = {}) {
+    if (!datasets || datasets.length === 0) return { stacks: [], segments: [] }
+
+    const stackKeys = datasets.map(dataset => String(dataset.stack ?? 'default'))
+    const stacks = [...new Set(stackKeys)]
+    const length = Math.max(...datasets.map(dataset => dataset.data.length))
+    const isStackable = value => typeof value === 'number' && isFinite(value) && value !== 0
+
+    const segments = Array.from({ length }, (_, index) => {
+        const totals = {}
+        const positive = {}
+        const negative = {}
+
+        datasets.forEach((dataset, datasetIndex) => {
+            const value = dataset.data[index]
+            if (isStackable(value)) {
+                totals[stackKeys[datasetIndex]] = (totals[stackKeys[datasetIndex]] || 0) + Math.abs(value)
+            }
+        })
+
+        return datasets.flatMap((dataset, datasetIndex) => {
+            const value = dataset.data[index]
+            if (!isStackable(value)) return []
+
+            const stack = stackKeys[datasetIndex]
+            const percentage = (value / totals[stack]) * 100
+            const size = options.percent ? percentage : value
+            const cumulative = value > 0 ? positive : negative
+            const start = cumulative[stack] || 0
+            cumulative[stack] = start + size
+
+            return [{
+                datasetIndex,
+                stack,
+                stackIndex: stacks.indexOf(stack),
+                value,
+                start,
+                end: start + size,
+                percentage
+            }]
+        })
+    })
+
+    return { stacks, segments }
+}
+
 /**
  * Calculate percentage values for pie chart
  * @param {number[]} data - Array of numeric values
@@ -132,6 +468,30 @@ export function calculatePieSlices(data) {
     return slices
 }
 
+/**
+ * Calculate polar area slice angles and percentages
+ * Every slice gets an equal angle; value is encoded by each slice's radius instead
+ * @param {number[]} data - Array of numeric values
+ * @returns {import('../types.js').PieSlice[]} Array of slice objects with angles and percentages
+ * @example
+ * const slices = calculatePolarAreaSlices([25, 75])
+ * // Returns: [
+ * //   { startAngle: -90, endAngle: 90, percentage: 25, value: 25 },
+ * //   { startAngle: 90, endAngle: 270, percentage: 75, value: 75 }
+ * // ]
+ */
+export function calculatePolarAreaSlices(data) {
+    const percentages = calculatePercentages(data)
+    const angle = data.length > 0 ? 360 / data.length : 0
+
+    return data.map((value, index) => ({
+        startAngle: -90 + angle * index,
+        endAngle: -90 + angle * (index + 1),
+        percentage: percentages[index],
+        value
+    }))
+}
+
 /**
  * Convert polar coordinates to cartesian coordinates
  * @param {number} centerX - Center X coordinate
@@ -177,6 +537,119 @@ export function describePieSlice(centerX, centerY, radius, startAngle, endAngle)
     ].join(' ')
 }
 
+/**
+ * Create SVG path data string for a data point marker
+ * Supported styles: circle, rect, rectRot (diamond), triangle, cross, crossRot and star.
+ * Cross styles are open strokes and need a stroke colour to be visible.
+ * Unknown styles fall back to a circle.
+ * @param {import('../types.js').PointStyle} style - Marker style
+ * @param {number} x - Center X coordinate
+ * @param {number} y - Center Y coordinate
+ * @param {number} radius - Marker radius (half its width for square styles)
+ * @returns {string} SVG path data string
+ * @example
+ * describePointShape('rect', 10, 10, 4)
+ * // Returns: "M 6 6 H 14 V 14 H 6 Z"
+ * describePointShape('cross', 10, 10, 4)
+ * // Returns: "M 10 6 V 14 M 6 10 H 14"
+ */
+export function describePointShape(style, x, y, radius) {
+    const diagonal = radius * Math.SQRT1_2
+    const cross = ['M', x, y - radius, 'V', y + radius, 'M', x - radius, y, 'H', x + radius]
+    const crossRot = [
+        'M', x - diagonal, y - diagonal, 'L', x + diagonal, y + diagonal,
+        'M', x + diagonal, y - diagonal, 'L', x - diagonal, y + diagonal
+    ]
+
+    switch (style) {
+        case 'rect':
+            return ['M', x - radius, y - radius, 'H', x + radius, 'V', y + radius, 'H', x - radius, 'Z'].join(' ')
+        case 'rectRot':
+            return ['M', x, y - radius, 'L', x + radius, y, 'L', x, y + radius, 'L', x - radius, y, 'Z'].join(' ')
+        case 'triangle': {
+            const top = polarToCartesian(x, y, radius, 0)
+            const right = polarToCartesian(x, y, radius, 120)
+            const left = polarToCartesian(x, y, radius, 240)
+            return ['M', top.x, top.y, 'L', right.x, right.y, 'L', left.x, left.y, 'Z'].join(' ')
+        }
+        case 'cross':
+            return cross.join(' ')
+        case 'crossRot':
+            return crossRot.join(' ')
+        case 'star':
+            return [...cross, ...crossRot].join(' ')
+        default:
+            return [
+                'M', x - radius, y,
+                'A', radius, radius, 0, 1, 0, x + radius, y,
+                'A', radius, radius, 0, 1, 0, x - radius, y,
+                'Z'
+            ].join(' ')
+    }
+}
+
+/**
+ * Fill pattern styles in the order series are assigned them
+ * @type {import('../types.js').PatternStyle[]}
+ * @constant
+ */
+export const PATTERN_STYLES = [
+    'diagonal',
+    'dots',
+    'horizontal',
+    'diagonalReverse',
+    'cross',
+    'zigzag',
+    'vertical',
+    'squares',
+    'crossDiagonal'
+]
+
+/**
+ * Create SVG path data for the marks of one tile of a repeating fill pattern
+ * Line styles are open strokes; dots and squares are filled shapes. Diagonal lines extend
+ * past the tile corners so neighbouring tiles join seamlessly.
+ * Unknown styles fall back to diagonal hatching.
+ * @param {import('../types.js').PatternStyle} style - Pattern style
+ * @param {number} [size=8] - Tile width and height in pixels
+ * @returns {{d: string, filled: boolean}} Path data and whether it is filled (true) or stroked (false)
+ * @example
+ * describePattern('horizontal', 8)
+ * // Returns: { d: "M 0 4 H 8", filled: false }
+ * describePattern('squares', 8)
+ * // Returns: { d: "M 2 2 H 6 V 6 H 2 Z", filled: true }
+ */
+export function describePattern(style, size = 8) {
+    const half = size / 2
+    const quarter = size / 4
+    const diagonal = ['M', 0, size, 'L', size, 0, 'M', -quarter, quarter, 'L', quarter, -quarter, 'M', size - quarter, size + quarter, 'L', size + quarter, size - quarter]
+    const diagonalReverse = ['M', 0, 0, 'L', size, size, 'M', -quarter, size - quarter, 'L', quarter, size + quarter, 'M', size - quarter, -quarter, 'L', size + quarter, quarter]
+
+    switch (style) {
+        case 'dots':
+            return { d: describePointShape('circle', half, half, size / 6), filled: true }
+        case 'squares':
+            return { d: describePointShape('rect', half, half, quarter), filled: true }
+        case 'horizontal':
+            return { d: ['M', 0, half, 'H', size].join(' '), filled: false }
+        case 'vertical':
+            return { d: ['M', half, 0, 'V', size].join(' '), filled: false }
+        case 'cross':
+            return { d: ['M', 0, half, 'H', size, 'M', half, 0, 'V', size].join(' '), filled: false }
+        case 'diagonalReverse':
+            return { d: diagonalReverse.join(' '), filled: false }
+        case 'crossDiagonal':
+            return { d: [...diagonal, ...diagonalReverse].join(' '), filled: false }
+        case 'zigzag':
+            return {
+                d: ['M', 0, size - quarter, 'L', quarter, quarter, 'L', half, size - quarter, 'L', size - quarter, quarter, 'L', size, size - quarter].join(' '),
+                filled: false
+            }
+        default:
+            return { d: diagonal.join(' '), filled: false }
+    }
+}
+
 /**
  * Calculate bar width for bar charts based on available space
  * @param {number} chartWidth - Total chart width in pixels
@@ -212,6 +685,147 @@ export function formatNumber(value, decimals = 2) {
     return value.toFixed(decimals)
 }
 
+/**
+ * Cache of Intl.NumberFormat instances keyed by locale and options (internal)
+ * @private
+ * @type {Map<string, Intl.NumberFormat>}
+ */
+const numberFormatCache = new Map()
+
+/**
+ * Get a cached Intl.NumberFormat instance (internal utility)
+ * @private
+ * @param {string|undefined} locale - BCP 47 locale tag (browser default if omitted)
+ * @param {Intl.NumberFormatOptions} [numberFormat={}] - Intl.NumberFormat options
+ * @returns {Intl.NumberFormat} Number formatter
+ */
+function getNumberFormat(locale, numberFormat = {}) {
+    const key = JSON.stringify([locale || null, numberFormat])
+
+    if (!numberFormatCache.has(key)) {
+        numberFormatCache.set(key, new Intl.NumberFormat(locale, numberFormat))
+    }
+
+    return numberFormatCache.get(key)
+}
+
+/**
+ * Format a number for display using Intl.NumberFormat
+ * Non-numeric values are returned as strings unchanged
+ * @param {number} value - Number to format
+ * @param {{locale?: string, numberFormat?: Intl.NumberFormatOptions}} [options={}] - Locale and Intl.NumberFormat options
+ * @returns {string} Locale-formatted number string
+ * @example
+ * formatValue(1234.5) // Returns: "1,234.5" (en-US)
+ * formatValue(1234.5, { locale: 'de-DE' }) // Returns: "1.234,5"
+ * formatValue(0.25, { numberFormat: { style: 'percent' } }) // Returns: "25%"
+ * formatValue(1500, { locale: 'en-GB', numberFormat: { style: 'currency', currency: 'GBP' } }) // Returns: "£1,500.00"
+ */
+export function formatValue(value, options = {}) {
+    if (typeof value !== 'number' || !isFinite(value)) {
+        return String(value ?? '')
+    }
+
+    return getNumberFormat(options.locale, options.numberFormat).format(value)
+}
+
+/**
+ * Count the decimal places needed to display a number exactly
+ * @param {number} value - Number to inspect
+ * @returns {number} Number of decimal places (0 for integers)
+ * @example
+ * getDecimalPlaces(0.25) // Returns: 2
+ * getDecimalPlaces(20) // Returns: 0
+ * getDecimalPlaces(1e-7) // Returns: 7
+ */
+export function getDecimalPlaces(value) {
+    if (!isFinite(value) || Math.floor(value) === value) return 0
+
+    const [mantissa, exponent = '0'] = Math.abs(value).toExponential().split('e')
+    const fractionDigits = (mantissa.split('.')[1] || '').length
+    // Intl.NumberFormat accepts at most 20 fraction digits
+    return Math.min(20, Math.max(0, fractionDigits - parseInt(exponent, 10)))
+}
+
+/**
+ * Format a numeric axis tick label
+ * Uses numberFormat merged with the scale's ticks.numberFormat, or without either a compact
+ * notation with enough decimals to tell ticks `precision` apart (at least 2).
+ * @param {number} value - Tick value
+ * @param {{
+ *   locale?: string,
+ *   numberFormat?: Intl.NumberFormatOptions,
+ *   ticksNumberFormat?: Intl.NumberFormatOptions,
+ *   precision?: number
+ * }} [options={}] - Locale, chart and scale number formats, and the tick step
+ * @returns {string} Tick label
+ * @example
+ * formatTickLabel(1500, { precision: 500 }) // Returns: "1.5K" (en-US)
+ * formatTickLabel(0.25, { ticksNumberFormat: { style: 'percent' } }) // Returns: "25%"
+ */
+export function formatTickLabel(value, options = {}) {
+    const numberFormat = { ...options.numberFormat, ...options.ticksNumberFormat }
+
+    if (Object.keys(numberFormat).length === 0) {
+        numberFormat.notation = 'compact'
+        numberFormat.maximumFractionDigits = Math.max(getDecimalPlaces(options.precision ?? value), 2)
+    }
+
+    return formatValue(value, { locale: options.locale, numberFormat })
+}
+
+/**
+ * Apply a scale's ticks.callback to a tick label
+ * The callback receives the tick value, its index and every tick as {value}; returning null or
+ * undefined hides the label.
+ * @param {Function} [callback] - The scale's ticks.callback
+ * @param {number|string} value - Tick value
+ * @param {number} index - Tick index
+ * @param {Array<number|string>} tickValues - All tick values on the axis
+ * @param {string} defaultText - Label used without a callback
+ * @returns {string} Tick label ('' hides the label)
+ * @example
+ * applyTickCallback(value => `$${value}`, 5, 0, [5, 10], '5') // Returns: "$5"
+ * applyTickCallback(undefined, 5, 0, [5, 10], '5') // Returns: "5"
+ */
+export function applyTickCallback(callback, value, index, tickValues, defaultText) {
+    if (typeof callback !== 'function') return defaultText
+
+    const text = callback(value, index, tickValues.map(tick => ({ value: tick })))
+    return text === null || text === undefined ? '' : String(text)
+}
+
+/**
+ * Estimate the rendered width of a text label
+ * Uses an average character width, which is close enough for sizing axis padding without measuring the DOM
+ * @param {string} text - Label text
+ * @param {number} [fontSize=12] - Font size in pixels
+ * @returns {number} Approximate width in pixels
+ * @example
+ * estimateTextWidth('Revenue') // Returns: 50.4 (7 * 12 * 0.6)
+ */
+export function estimateTextWidth(text, fontSize = 12) {
+    return String(text ?? '').length * fontSize * 0.6
+}
+
+/**
+ * Truncate a label with an ellipsis so it fits within a width
+ * @param {string} text - Label text
+ * @param {number} maxWidth - Available width in pixels
+ * @param {number} [fontSize=12] - Font size in pixels
+ * @returns {string} The original text if it fits, otherwise a shortened text ending in '…'
+ * @example
+ * truncateLabel('Customer Support Operations', 100) // Returns: "Customer Sup…"
+ * truncateLabel('Sales', 100) // Returns: "Sales"
+ */
+export function truncateLabel(text, maxWidth, fontSize = 12) {
+    const label = String(text ?? '')
+    if (estimateTextWidth(label, fontSize) <= maxWidth) return label
+
+    const maxChars = Math.max(1, Math.floor(maxWidth / (fontSize * 0.6)) - 1)
+    return `${label.slice(0, maxChars).trimEnd()}…`
+}
+
 /**
  * Linear interpolation between two values
  * @param {number} start - Start value
@@ -225,3 +839,34 @@ export function formatNumber(value, decimals = 2) {
 export function interpolate(start, end, progress) {
     return start + (end - start) * progress
 }
+
+/**
+ * Easing functions by name, mapping linear progress (0-1) to eased progress
+ * @type {Object<string, (t: number) => number>}
+ * @constant
+ */
+export const EASING_FUNCTIONS = {
+    linear: t => t,
+    easeInQuad: t => t * t,
+    easeOutQuad: t => t * (2 - t),
+    easeInOutQuad: t => (t < 0.5 ? 2 * t * t : 1 - (-2 * t + 2) ** 2 / 2),
+    easeInCubic: t => t ** 3,
+    easeOutCubic: t => 1 - (1 - t) ** 3,
+    easeInOutCubic: t => (t < 0.5 ? 4 * t ** 3 : 1 - (-2 * t + 2) ** 3 / 2),
+    easeInQuart: t => t ** 4,
+    easeOutQuart: t => 1 - (1 - t) ** 4,
+    easeInOutQuart: t => (t < 0.5 ? 8 * t ** 4 : 1 - (-2 * t + 2) ** 4 / 2)
+}
+
+/**
+ * Get an easing function by name
+ * Unknown names fall back to easeInOutQuart
+ * @param {import('../types.js').EasingName} [name] - Name of an EASING_FUNCTIONS entry
+ * @returns {(t: number) => number} Easing function
+ * @example
+ * getEasing('easeOutQuad')(0.5) // Returns: 0.75
+ * getEasing('linear')(0.3) // Returns: 0.3
+ */
+export function getEasing(name) {
+    return EASING_FUNCTIONS[name] || EASING_FUNCTIONS.easeInOutQuart
+}
@@ -0,0 +1,231 @@
+import { describe, expect, it, vi } from 'vitest'
+import {
+    applyTickCallback,
+    calculateLinearScale,
+    calculateLogScale,
+    calculateNiceScale,
+    calculateStackLayout,
+    generateLinearTicks,
+    generateLogTicks
+} from './chartCalculations.js'
+
+describe('calculateNiceScale', () => {
+    it('rounds the range out to a nice step', () => {
+        expect(calculateNiceScale(23, 87, 5)).toEqual({ min: 20, max: 100, step: 20, ticks: 5 })
+    })
+})
+
+describe('generateLinearTicks', () => {
+    it('generates multiples of the step within the range', () => {
+        expect(generateLinearTicks(0, 100, 25)).toEqual([0, 25, 50, 75, 100])
+        expect(generateLinearTicks(5, 95, 20)).toEqual([20, 40, 60, 80])
+    })
+
+    it('avoids floating point noise', () => {
+        expect(generateLinearTicks(0, 0.5, 0.1)).toEqual([0, 0.1, 0.2, 0.3, 0.4, 0.5])
+    })
+})
+
+describe('calculateLinearScale', () => {
+    it('chooses a nice scale around the data', () => {
+        expect(calculateLinearScale(12, 64)).toEqual({ min: 0, max: 80, step: 20, ticks: 5 })
+    })
+
+    it('uses explicit min and max exactly', () => {
+        expect(calculateLinearScale(12, 64, { min: 0, max: 100 })).toEqual({ min: 0, max: 100, step: 50, ticks: 3 })
+        expect(calculateLinearScale(12, 64, { min: 0, max: 100, stepSize: 20 })).toEqual({ min: 0, max: 100, step: 20, ticks: 6 })
+    })
+
+    it('keeps explicit bounds that exclude some of the data', () => {
+        const scale = calculateLinearScale(-50, 500, { min: 0, max: 100, stepSize: 25 })
+
+        expect(scale).toEqual({ min: 0, max: 100, step: 25, ticks: 5 })
+    })
+
+    it('keeps explicit bounds that exclude all of the data', () => {
+        const scale = calculateLinearScale(200, 300, { min: 0, max: 100 })
+
+        expect(scale.min).toBe(0)
+        expect(scale.max).toBe(100)
+    })
+
+    it('widens the data range to suggested bounds but never narrows it', () => {
+        expect(calculateLinearScale(12, 64, { suggestedMin: 0, suggestedMax: 100 })).toMatchObject({ min: 0, max: 100 })
+        expect(calculateLinearScale(12, 64, { suggestedMin: 30, suggestedMax: 50 })).toEqual(calculateLinearScale(12, 64))
+    })
+
+    it('prefers explicit bounds over suggested ones', () => {
+        expect(calculateLinearScale(12, 64, { min: 5, suggestedMin: 0 })).toMatchObject({ min: 5 })
+    })
+
+    it('honours a fixed stepSize', () => {
+        expect(calculateLinearScale(12, 64, { stepSize: 10 })).toEqual({ min: 10, max: 70, step: 10, ticks: 7 })
+    })
+
+    it('ignores a stepSize that is not positive', () => {
+        const automatic = calculateLinearScale(12, 64)
+
+        expect(calculateLinearScale(12, 64, { stepSize: -10 })).toEqual(automatic)
+        expect(calculateLinearScale(12, 64, { stepSize: 0 })).toEqual(automatic)
+    })
+
+    it('ignores a stepSize that would give more than 1000 ticks', () => {
+        expect(calculateLinearScale(0, 100, { stepSize: 0.01 })).toEqual(calculateLinearScale(0, 100))
+        expect(calculateLinearScale(0, 100, { stepSize: 0.1 }).step).toBe(0.1)
+    })
+
+    it('reduces the tick count to maxTicksLimit', () => {
+        const scale = calculateLinearScale(0, 100, { maxTicksLimit: 3 })
+
+        expect(scale.ticks).toBeLessThanOrEqual(3)
+        expect(scale).toMatchObject({ min: 0, max: 100 })
+    })
+
+    it('gives a flat data range some height', () => {
+        expect(calculateLinearScale(0, 0)).toMatchObject({ min: 0, max: 10 })
+
+        const scale = calculateLinearScale(5, 5)
+        expect(scale.min).toBeLessThanOrEqual(5)
+        expect(scale.max).toBeGreaterThanOrEqual(10)
+
+        expect(calculateLinearScale(5, 5, { max: 5 })).toMatchObject({ min: 4, max: 5 })
+    })
+
+    it('falls back to 0-10 without finite data', () => {
+        expect(calculateLinearScale(Infinity, -Infinity)).toMatchObject({ min: 0, max: 10 })
+    })
+})
+
+describe('calculateLogScale', () => {
+    it('snaps the range out to whole decades', () => {
+        expect(calculateLogScale(3, 4500)).toEqual({ min: 1, max: 10000, step: 10, ticks: 5 })
+        expect(calculateLogScale(0.02, 0.5)).toEqual({ min: 0.01, max: 1, step: 10, ticks: 3 })
+    })
+
+    it('spans at least one decade', () => {
+        expect(calculateLogScale(10, 10)).toMatchObject({ min: 10, max: 100 })
+    })
+
+    it('falls back to valid decades for non-positive bounds', () => {
+        expect(calculateLogScale(0, 500)).toMatchObject({ min: 10, max: 1000 })
+        expect(calculateLogScale(-5, -1)).toMatchObject({ min: 1, max: 10 })
+        expect(calculateLogScale(NaN, Infinity)).toMatchObject({ min: 1, max: 10 })
+    })
+})
+
+describe('generateLogTicks', () => {
+    it('marks decades as major ticks and multiples as minor ticks', () => {
+        const ticks = generateLogTicks(1, 100)
+
+        expect(ticks).toHaveLength(19)
+        expect(ticks.filter(tick => !tick.minor).map(tick => tick.value)).toEqual([1, 10, 100])
+        expect(ticks.slice(0, 3)).toEqual([
+            { value: 1, minor: false },
+            { value: 2, minor: true },
+            { value: 3, minor: true }
+        ])
+    })
+
+    it('limits ticks to non-decade bounds', () => {
+        expect(generateLogTicks(3, 50).map(tick => tick.value)).toEqual([3, 4, 5, 6, 7, 8, 9, 10, 20, 30, 40, 50])
+    })
+
+    it('avoids floating point noise below one', () => {
+        expect(generateLogTicks(0.1, 1).map(tick => tick.value)).toContain(0.3)
+    })
+})
+
+describe('calculateStackLayout', () => {
+    it('stacks values upwards from zero in dataset order', () => {
+        const { stacks, segments } = calculateStackLayout([
+            { data: [10, 20] },
+            { data: [5, 30] }
+        ])
+
+        expect(stacks).toEqual(['default'])
+        expect(segments[0].map(({ start, end }) => [start, end])).toEqual([[0, 10], [10, 15]])
+        expect(segments[1].map(({ start, end }) => [start, end])).toEqual([[0, 20], [20, 50]])
+    })
+
+    it('keeps separate stacks for each stack key', () => {
+        const { stacks, segments } = calculateStackLayout([
+            { data: [50], stack: 'actual' },
+            { data: [20], stack: 'forecast' },
+            { data: [10], stack: 'actual' }
+        ])
+
+        expect(stacks).toEqual(['actual', 'forecast'])
+        expect(segments[0]).toEqual([
+            { datasetIndex: 0, stack: 'actual', stackIndex: 0, value: 50, start: 0, end: 50, percentage: (50 / 60) * 100 },
+            { datasetIndex: 1, stack: 'forecast', stackIndex: 1, value: 20, start: 0, end: 20, percentage: 100 },
+            { datasetIndex: 2, stack: 'actual', stackIndex: 0, value: 10, start: 50, end: 60, percentage: (10 / 60) * 100 }
+        ])
+    })
+
+    it('scales each stack to 100% in percent mode', () => {
+        const { segments } = calculateStackLayout([
+            { data: [30] },
+            { data: [10] }
+        ], { percent: true })
+
+        expect(segments[0].map(({ start, end }) => [start, end])).toEqual([[0, 75], [75, 100]])
+    })
+
+    it('skips zero and missing values', () => {
+        const { segments } = calculateStackLayout([
+            { data: [0, 4] },
+            { data: [null, 6] },
+            { data: [3] }
+        ])
+
+        expect(segments[0].map(segment => segment.datasetIndex)).toEqual([2])
+        expect(segments[1].map(segment => segment.datasetIndex)).toEqual([0, 1])
+    })
+
+    it('stacks negative values downwards from zero, apart from positive values', () => {
+        const { segments } = calculateStackLayout([
+            { data: [50] },
+            { data: [-30] },
+            { data: [20] },
+            { data: [-10] }
+        ])
+
+        expect(segments[0].map(({ start, end }) => [start, end])).toEqual([[0, 50], [0, -30], [50, 70], [-30, -40]])
+    })
+
+    it('gives negative values negative shares of the absolute total in percent mode', () => {
+        const { segments } = calculateStackLayout([
+            { data: [60] },
+            { data: [-40] }
+        ], { percent: true })
+
+        expect(segments[0]).toMatchObject([
+            { start: 0, end: 60, percentage: 60 },
+            { start: 0, end: -40, percentage: -40 }
+        ])
+    })
+
+    it('returns no stacks without datasets', () => {
+        expect(calculateStackLayout([])).toEqual({ stacks: [], segments: [] })
+        expect(calculateStackLayout(undefined)).toEqual({ stacks: [], segments: [] })
+    })
+})
+
+describe('applyTickCallback', () => {
+    it('uses the default text without a callback', () => {
+        expect(applyTickCallback(undefined, 5, 0, [5, 10], '5')).toBe('5')
+    })
+
+    it('passes the value, index and every tick to the callback', () => {
+        const callback = vi.fn(value => `$${value}`)
+
+        expect(applyTickCallback(callback, 'Mon', 1, ['Sun', 'Mon'], 'Mon')).toBe('$Mon')
+        expect(callback).toHaveBeenCalledWith('Mon', 1, [{ value: 'Sun' }, { value: 'Mon' }])
+    })
+
+    it('hides the label when the callback returns null or undefined', () => {
+        expect(applyTickCallback(() => null, 5, 0, [5], '5')).toBe('')
+        expect(applyTickCallback(() => undefined, 5, 0, [5], '5')).toBe('')
+        expect(applyTickCallback(() => 0, 5, 0, [5], '5')).toBe('0')
+    })
+})
@@ -16,30 +16,65 @@ export const DEFAULT_COLORS = [
     '#a855f7' // violet
 ]
 
+/**
+ * Named categorical palettes, selectable with options.colors
+ * The okabe-ito, tol-bright, tol-muted and ibm palettes stay distinguishable for the
+ * common forms of colour blindness (deuteranopia, protanopia and tritanopia).
+ * @type {Object<string, string[]>}
+ * @constant
+ */
+export const COLOR_PALETTES = {
+    default: DEFAULT_COLORS,
+    'okabe-ito': ['#e69f00', '#56b4e9', '#009e73', '#f0e442', '#0072b2', '#d55e00', '#cc79a7', '#000000'],
+    'tol-bright': ['#4477aa', '#ee6677', '#228833', '#ccbb44', '#66ccee', '#aa3377', '#bbbbbb'],
+    'tol-muted': ['#332288', '#88ccee', '#44aa99', '#117733', '#999933', '#ddcc77', '#cc6677', '#882255', '#aa4499'],
+    ibm: ['#648fff', '#785ef0', '#dc267f', '#fe6100', '#ffb000']
+}
+
+/**
+ * Resolve a palette option to an array of colors
+ * @param {string[]|string|null} [palette] - Array of colors, or the name of a COLOR_PALETTES entry
+ * @returns {string[]} Palette colors (DEFAULT_COLORS when unset, empty or an unknown name)
+ * @example
+ * resolvePalette('okabe-ito') // Returns: ["#e69f00", "#56b4e9", ...]
+ * resolvePalette(['#111111', '#222222']) // Returns: ["#111111", "#222222"]
+ */
+export function resolvePalette(palette) {
+    if (typeof palette === 'string') {
+        return COLOR_PALETTES[palette] || DEFAULT_COLORS
+    }
+
+    return Array.isArray(palette) && palette.length > 0 ? palette : DEFAULT_COLORS
+}
+
 /**
  * Get color from palette by index with wraparound
  * @param {number} index - Color index (will wrap around if exceeds palette length)
- * @param {string[]} [palette=DEFAULT_COLORS] - Optional custom color palette
+ * @param {string[]|string} [palette=DEFAULT_COLORS] - Optional custom color palette or COLOR_PALETTES name
  * @returns {string} Color value (hex, rgb, or rgba)
  * @example
  * getColorByIndex(0) // Returns: "#3b82f6"
  * getColorByIndex(15, DEFAULT_COLORS) // Wraps around: DEFAULT_COLORS[5]
+ * getColorByIndex(1, 'okabe-ito') // Returns: "#56b4e9"
  */
 export function getColorByIndex(index, palette = DEFAULT_COLORS) {
-    return palette[index % palette.length]
+    const colors = resolvePalette(palette)
+    return colors[index % colors.length]
 }
 
 /**
  * Generate color palette for datasets
  * @param {number} count - Number of colors needed
- * @param {string[]|null} [customPalette=null] - Optional custom color palette
+ * @param {string[]|string|null} [customPalette=null] - Optional custom color palette or COLOR_PALETTES name
  * @returns {string[]} Array of color values
  * @example
  * const colors = generateColorPalette(3)
  * // Returns: ["#3b82f6", "#8b5cf6", "#10b981"]
+ * const safe = generateColorPalette(2, 'okabe-ito')
+ * // Returns: ["#e69f00", "#56b4e9"]
  */
 export function generateColorPalette(count, customPalette = null) {
-    const palette = customPalette || DEFAULT_COLORS
+    const palette = resolvePalette(customPalette)
     const colors = []
 
     for (let i = 0; i < count; i++) {
@@ -49,24 +84,337 @@ export function generateColorPalette(count, customPalette = null) {
     return colors
 }
 
+/**
+ * CSS named colours (CSS Color Module Level 4)
+ * @private
+ * @type {Object<string, string>}
+ * @constant
+ */
+const NAMED_COLORS = {
+    aliceblue: '#f0f8ff',
+    antiquewhite: '#faebd7',
+    aqua: '#00ffff',
+    aquamarine: '#7fffd4',
+    azure: '#f0ffff',
+    beige: '#f5f5dc',
+    bisque: '#ffe4c4',
+    black: '#000000',
+    blanchedalmond: '#ffebcd',
+    blue: '#0000ff',
+    blueviolet: '#8a2be2',
+    brown: '#a52a2a',
+    burlywood: '#deb887',
+    cadetblue: '#5f9ea0',
+    chartreuse: '#7fff00',
+    chocolate: '#d2691e',
+    coral: '#ff7f50',
+    cornflowerblue: '#6495ed',
+    cornsilk: '#fff8dc',
+    crimson: '#dc143c',
+    cyan: '#00ffff',
+    darkblue: '#00008b',
+    darkcyan: '#008b8b',
+    darkgoldenrod: '#b8860b',
+    darkgray: '#a9a9a9',
+    darkgreen: '#006400',
+    darkgrey: '#a9a9a9',
+    darkkhaki: '#bdb76b',
+    darkmagenta: '#8b008b',
+    darkolivegreen: '#556b2f',
+    darkorange: '#ff8c00',
+    darkorchid: '#9932cc',
+    darkred: '#8b0000',
+    darksalmon: '#e9967a',
+    darkseagreen: '#8fbc8f',
+    darkslateblue: '#483d8b',
+    darkslategray: '#2f4f4f',
+    darkslategrey: '#2f4f4f',
+    darkturquoise: '#00ced1',
+    darkviolet: '#9400d3',
+    deeppink: '#ff1493',
+    deepskyblue: '#00bfff',
+    dimgray: '#696969',
+    dimgrey: '#696969',
+    dodgerblue: '#1e90ff',
+    firebrick: '#b22222',
+    floralwhite: '#fffaf0',
+    forestgreen: '#228b22',
+    fuchsia: '#ff00ff',
+    gainsboro: '#dcdcdc',
+    ghostwhite: '#f8f8ff',
+    gold: '#ffd700',
+    goldenrod: '#daa520',
+    gray: '#808080',
+    green: '#008000',
+    greenyellow: '#adff2f',
+    grey: '#808080',
+    honeydew: '#f0fff0',
+    hotpink: '#ff69b4',
+    indianred: '#cd5c5c',
+    indigo: '#4b0082',
+    ivory: '#fffff0',
+    khaki: '#f0e68c',
+    lavender: '#e6e6fa',
+    lavenderblush: '#fff0f5',
+    lawngreen: '#7cfc00',
+    lemonchiffon: '#fffacd',
+    lightblue: '#add8e6',
+    lightcoral: '#f08080',
+    lightcyan: '#e0ffff',
+    lightgoldenrodyellow: '#fafad2',
+    lightgray: '#d3d3d3',
+    lightgreen: '#90ee90',
+    lightgrey: '#d3d3d3',
+    lightpink: '#ffb6c1',
+    lightsalmon: '#ffa07a',
+    lightseagreen: '#20b2aa',
+    lightskyblue: '#87cefa',
+    lightslategray: '#778899',
+    lightslategrey: '#778899',
+    lightsteelblue: '#b0c4de',
+    lightyellow: '#ffffe0',
+    lime: '#00ff00',
+    limegreen: '#32cd32',
+    linen: '#faf0e6',
+    magenta: '#ff00ff',
+    maroon: '#800000',
+    mediumaquamarine: '#66cdaa',
+    mediumblue: '#0000cd',
+    mediumorchid: '#ba55d3',
+    mediumpurple: '#9370db',
+    mediumseagreen: '#3cb371',
+    mediumslateblue: '#7b68ee',
+    mediumspringgreen: '#00fa9a',
+    mediumturquoise: '#48d1cc',
+    mediumvioletred: '#c71585',
+    midnightblue: '#191970',
+    mintcream: '#f5fffa',
+    mistyrose: '#ffe4e1',
+    moccasin: '#ffe4b5',
+    navajowhite: '#ffdead',
+    navy: '#000080',
+    oldlace: '#fdf5e6',
+    olive: '#808000',
+    olivedrab: '#6b8e23',
+    orange: '#ffa500',
+    orangered: '#ff4500',
+    orchid: '#da70d6',
+    palegoldenrod: '#eee8aa',
+    palegreen: '#98fb98',
+    paleturquoise: '#afeeee',
+    palevioletred: '#db7093',
+    papayawhip: '#ffefd5',
+    peachpuff: '#ffdab9',
+    peru: '#cd853f',
+    pink: '#ffc0cb',
+    plum: '#dda0dd',
+    powderblue: '#b0e0e6',
+    purple: '#800080',
+    rebeccapurple: '#663399',
+    red: '#ff0000',
+    rosybrown: '#bc8f8f',
+    royalblue: '#4169e1',
+    saddlebrown: '#8b4513',
+    salmon: '#fa8072',
+    sandybrown: '#f4a460',
+    seagreen: '#2e8b57',
+    seashell: '#fff5ee',
+    sienna: '#a0522d',
+    silver: '#c0c0c0',
+    skyblue: '#87ceeb',
+    slateblue: '#6a5acd',
+    slategray: '#708090',
+    slategrey: '#708090',
+    snow: '#fffafa',
+    springgreen: '#00ff7f',
+    steelblue: '#4682b4',
+    tan: '#d2b48c',
+    teal: '#008080',
+    thistle: '#d8bfd8',
+    tomato: '#ff6347',
+    turquoise: '#40e0d0',
+    violet: '#ee82ee',
+    wheat: '#f5deb3',
+    white: '#ffffff',
+    whitesmoke: '#f5f5f5',
+    yellow: '#ffff00',
+    yellowgreen: '#9acd32'
+}
+
+// Numbers as written in CSS: 12, -3.5, .5, 1e3
+const CSS_NUMBER = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i
+
+// Degrees per hue unit
+const HUE_UNITS = { deg: 1, grad: 0.9, rad: 180 / Math.PI, turn: 360 }
+
+/**
+ * Parse a CSS number, optionally with a unit suffix
+ * @private
+ * @param {string} text - Token such as "50", "50%" or "0.5turn"
+ * @param {string} [unit=''] - Unit suffix the token must end with
+ * @returns {number|null} Parsed number, or null if the token isn't a number with that unit
+ */
+function parseCssNumber(text, unit = '') {
+    if (!text.endsWith(unit)) return null
+    const number = text.slice(0, text.length - unit.length)
+    return CSS_NUMBER.test(number) ? parseFloat(number) : null
+}
+
+/**
+ * Parse an alpha token: a number (0-1) or a percentage
+ * @private
+ * @param {string} [text] - Alpha token
+ * @returns {number|null} Alpha between 0 and 1 (1 when omitted), or null if invalid
+ */
+function parseAlpha(text) {
+    if (text === undefined) return 1
+    const value = text.endsWith('%') ? parseCssNumber(text, '%') / 100 : parseCssNumber(text)
+    return value === null || isNaN(value) ? null : Math.min(Math.max(value, 0), 1)
+}
+
+/**
+ * Split the arguments of an rgb()/hsl() function, accepting both the legacy comma syntax
+ * and the modern space-separated syntax with an optional "/ alpha"
+ * @private
+ * @param {string} body - Text between the parentheses
+ * @returns {string[]|null} Three or four argument tokens, or null if malformed
+ */
+function splitColorArguments(body) {
+    const text = body.trim()
+
+    if (text.includes(',')) {
+        const parts = text.split(',').map(part => part.trim())
+        return parts.length === 3 || parts.length === 4 ? parts : null
+    }
+
+    const [channels, alpha, extra] = text.split('/').map(part => part.trim())
+    const parts = channels.split(/\s+/)
+    if (extra !== undefined || parts.length !== 3 || alpha === '') return null
+
+    return alpha === undefined ? parts : [...parts, alpha]
+}
+
+/**
+ * Parse hex colour digits (#rgb, #rgba, #rrggbb or #rrggbbaa, # optional)
+ * @private
+ * @param {string} hex - Hex colour
+ * @returns {import('../types.js').RGBAColor|null} Parsed colour, or null if invalid
+ */
+function parseHex(hex) {
+    const digits = hex.replace(/^#/, '')
+    if (!/^([a-f\d]{3,4}|[a-f\d]{6}|[a-f\d]{8})$/i.test(digits)) return null
+
+    const full = digits.length <= 4 ? [...digits].map(digit => digit + digit).join('') : digits
+    const channel = index => parseInt(full.slice(index * 2, index * 2 + 2), 16)
+
+    return {
+        r: channel(0),
+        g: channel(1),
+        b: channel(2),
+        a: full.length === 8 ? Math.round((channel(3) / 255) * 1000) / 1000 : 1
+    }
+}
+
+/**
+ * Parse rgb()/rgba() arguments: numbers (0-255) or percentages, plus optional alpha
+ * @private
+ * @param {string[]} args - Argument tokens
+ * @returns {import('../types.js').RGBAColor|null} Parsed colour, or null if invalid
+ */
+function parseRgbArguments(args) {
+    const channels = args.slice(0, 3).map(token => {
+        if (token === 'none') return 0
+        const value = token.endsWith('%') ? parseCssNumber(token, '%') * 2.55 : parseCssNumber(token)
+        return value === null ? null : Math.round(Math.min(Math.max(value, 0), 255))
+    })
+    const alpha = parseAlpha(args[3])
+    if (channels.includes(null) || alpha === null) return null
+
+    return { r: channels[0], g: channels[1], b: channels[2], a: alpha }
+}
+
+/**
+ * Parse hsl()/hsla() arguments: hue (with optional angle unit), saturation and lightness, plus optional alpha
+ * @private
+ * @param {string[]} args - Argument tokens
+ * @returns {import('../types.js').RGBAColor|null} Parsed colour, or null if invalid
+ */
+function parseHslArguments(args) {
+    const [hueToken, saturationToken, lightnessToken, alphaToken] = args
+    const unit = Object.keys(HUE_UNITS).find(name => hueToken.endsWith(name)) || ''
+    const hue = hueToken === 'none' ? 0 : parseCssNumber(hueToken, unit)
+    const percentage = token => (token === 'none' ? 0 : parseCssNumber(token.replace(/%$/, '')))
+    const saturation = percentage(saturationToken)
+    const lightness = percentage(lightnessToken)
+    const alpha = parseAlpha(alphaToken)
+    if (hue === null || saturation === null || lightness === null || alpha === null) return null
+
+    const h = (((hue * (HUE_UNITS[unit] || 1)) % 360) + 360) % 360
+    const s = Math.min(Math.max(saturation, 0), 100) / 100
+    const l = Math.min(Math.max(lightness, 0), 100) / 100
+    const k = n => (n + h / 30) % 12
+    const chroma = s * Math.min(l, 1 - l)
+    const f = n => Math.round((l - chroma * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1))) * 255)
+
+    return { r: f(0), g: f(8), b: f(4), a: alpha }
+}
+
+/**
+ * Parse any CSS colour into RGBA channels
+ * Supports all CSS named colours, transparent, hex (#rgb, #rgba, #rrggbb, #rrggbbaa),
+ * rgb()/rgba() and hsl()/hsla() in both comma and space-separated syntax, with percentages,
+ * hue units and "/ alpha". CSS variables and currentColor can't be resolved here, so they return null.
+ * @param {string} color - CSS colour
+ * @returns {import('../types.js').RGBAColor|null} Colour channels {r, g, b, a}, or null if it can't be parsed
+ * @example
+ * parseColor("#3b82f680") // Returns: { r: 59, g: 130, b: 246, a: 0.502 }
+ * parseColor("rebeccapurple") // Returns: { r: 102, g: 51, b: 153, a: 1 }
+ * parseColor("hsl(217 91% 60% / 50%)") // Returns: { r: 59, g: 130, b: 246, a: 0.5 } (approximately)
+ * parseColor("rgb(100% 0% 0%)") // Returns: { r: 255, g: 0, b: 0, a: 1 }
+ * parseColor("var(--brand)") // Returns: null
+ */
+export function parseColor(color) {
+    if (typeof color !== 'string') return null
+
+    const value = color.trim().toLowerCase()
+    if (value === 'transparent') return { r: 0, g: 0, b: 0, a: 0 }
+    if (NAMED_COLORS[value]) return parseHex(NAMED_COLORS[value])
+    if (value.startsWith('#')) return parseHex(value)
+
+    const match = /^(rgba?|hsla?)\((.*)\)$/.exec(value)
+    if (!match) return null
+
+    const args = splitColorArguments(match[2])
+    if (!args) return null
+
+    return match[1].startsWith('rgb') ? parseRgbArguments(args) : parseHslArguments(args)
+}
+
+/**
+ * Format RGBA channels as a CSS colour string
+ * @param {import('../types.js').RGBAColor} color - Colour channels (a defaults to 1)
+ * @returns {string} Hex colour when opaque, otherwise an rgba() string
+ * @example
+ * formatColor({ r: 59, g: 130, b: 246 }) // Returns: "#3b82f6"
+ * formatColor({ r: 59, g: 130, b: 246, a: 0.5 }) // Returns: "rgba(59, 130, 246, 0.5)"
+ */
+export function formatColor({ r, g, b, a = 1 }) {
+    return a >= 1 ? rgbToHex(r, g, b) : `rgba(${r}, ${g}, ${b}, ${a})`
+}
+
 /**
  * Convert hex color to RGB object
- * @param {string} hex - Hex color value (with or without #)
- * @returns {import('../types.js').RGBColor|null} RGB object {r, g, b} or null if invalid
+ * @param {string} hex - Hex color value (#rgb, #rgba, #rrggbb or #rrggbbaa, with or without #)
+ * @returns {import('../types.js').RGBColor|null} RGB object {r, g, b} or null if invalid (use parseColor for alpha)
  * @example
  * hexToRgb("#3b82f6") // Returns: { r: 59, g: 130, b: 246 }
  * hexToRgb("3b82f6") // Returns: { r: 59, g: 130, b: 246 }
+ * hexToRgb("#fff") // Returns: { r: 255, g: 255, b: 255 }
  * hexToRgb("invalid") // Returns: null
  */
 export function hexToRgb(hex) {
-    const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex)
-    return result
-        ? {
-            r: parseInt(result[1], 16),
-            g: parseInt(result[2], 16),
-            b: parseInt(result[3], 16)
-        }
-        : null
+    const color = typeof hex === 'string' ? parseHex(hex) : null
+    return color ? { r: color.r, g: color.g, b: color.b } : null
 }
 
 /**
@@ -88,85 +436,473 @@ export function rgbToHex(r, g, b) {
 
 /**
  * Add alpha (transparency) channel to color
- * @param {string} color - Color value (hex, rgb, or rgba)
+ * Any parseable CSS colour becomes rgba() with the given alpha (replacing its own);
+ * colours that can only be resolved by the browser, such as var(--x) or currentColor,
+ * are wrapped in color-mix() with transparent instead.
+ * @param {string} color - CSS color value
  * @param {number} alpha - Alpha value (0-1, where 0=transparent, 1=opaque)
- * @returns {string} RGBA color string
+ * @returns {string} RGBA color string (or a color-mix() expression)
  * @example
  * addAlpha("#3b82f6", 0.5) // Returns: "rgba(59, 130, 246, 0.5)"
- * addAlpha("rgb(59, 130, 246)", 0.3) // Returns: "rgba(59, 130, 246, 0.3)"
+ * addAlpha("hsl(217 91% 60%)", 0.3) // Returns: "rgba(59, 130, 246, 0.3)" (approximately)
+ * addAlpha("var(--brand)", 0.2) // Returns: "color-mix(in srgb, var(--brand) 20%, transparent)"
  */
 export function addAlpha(color, alpha) {
-    if (color.startsWith('#')) {
-        const rgb = hexToRgb(color)
-        if (!rgb) return color
-        return `rgba(${rgb.r}, ${rgb.g}, ${rgb.b}, ${alpha})`
-    }
-
-    if (color.startsWith('rgb(')) {
-        return color.replace('rgb(', 'rgba(').replace(')', `, ${alpha})`)
-    }
+    const rgba = parseColor(color)
+    if (rgba) return `rgba(${rgba.r}, ${rgba.g}, ${rgba.b}, ${alpha})`
+    if (typeof color !== 'string') return color
 
-    return color
+    const percentage = parseFloat((Math.min(Math.max(alpha, 0), 1) * 100).toPrecision(12))
+    return `color-mix(in srgb, ${color.trim()} ${percentage}%, transparent)`
 }
 
 /**
  * Lighten a color by percentage
- * @param {string} color - Hex color value
+ * @param {string} color - CSS color value
  * @param {number} percent - Percentage to lighten (0-100, where 50=significantly lighter)
- * @returns {string} Lightened hex color value
+ * @returns {string} Lightened color (hex, or rgba() if the color is translucent); unparseable colors are returned unchanged
  * @example
  * lightenColor("#3b82f6", 20) // Returns: lighter blue
  * lightenColor("#000000", 50) // Returns: "#7f7f7f" (gray)
  */
 export function lightenColor(color, percent) {
-    const rgb = hexToRgb(color)
-    if (!rgb) return color
+    const rgba = parseColor(color)
+    if (!rgba) return color
 
     const amount = Math.round(2.55 * percent)
-    const r = Math.min(255, rgb.r + amount)
-    const g = Math.min(255, rgb.g + amount)
-    const b = Math.min(255, rgb.b + amount)
 
-    return rgbToHex(r, g, b)
+    return formatColor({
+        r: Math.min(255, rgba.r + amount),
+        g: Math.min(255, rgba.g + amount),
+        b: Math.min(255, rgba.b + amount),
+        a: rgba.a
+    })
 }
 
 /**
  * Darken a color by percentage
- * @param {string} color - Hex color value
+ * @param {string} color - CSS color value
  * @param {number} percent - Percentage to darken (0-100, where 50=significantly darker)
- * @returns {string} Darkened hex color value
+ * @returns {string} Darkened color (hex, or rgba() if the color is translucent); unparseable colors are returned unchanged
  * @example
  * darkenColor("#3b82f6", 20) // Returns: darker blue
  * darkenColor("#ffffff", 50) // Returns: "#808080" (gray)
  */
 export function darkenColor(color, percent) {
-    const rgb = hexToRgb(color)
-    if (!rgb) return color
+    const rgba = parseColor(color)
+    if (!rgba) return color
 
     const amount = Math.round(2.55 * percent)
-    const r = Math.max(0, rgb.r - amount)
-    const g = Math.max(0, rgb.g - amount)
-    const b = Math.max(0, rgb.b - amount)
 
-    return rgbToHex(r, g, b)
+    return formatColor({
+        r: Math.max(0, rgba.r - amount),
+        g: Math.max(0, rgba.g - amount),
+        b: Math.max(0, rgba.b - amount),
+        a: rgba.a
+    })
+}
+
+/**
+ * Get the WCAG 2 relative luminance of a color (alpha is ignored)
+ * @param {string} color - CSS color value
+ * @returns {number|null} Relative luminance (0 for black, 1 for white), or null if the color can't be parsed
+ * @example
+ * getRelativeLuminance("#ffffff") // Returns: 1
+ * getRelativeLuminance("#3b82f6") // Returns: 0.235 (approximately)
+ */
+export function getRelativeLuminance(color) {
+    const rgb = parseColor(color)
+    if (!rgb) return null
+
+    return 0.2126 * toLinear(rgb.r) + 0.7152 * toLinear(rgb.g) + 0.0722 * toLinear(rgb.b)
+}
+
+/**
+ * Get the WCAG 2 contrast ratio between two colors
+ * @param {string} colorA - CSS color value
+ * @param {string} colorB - CSS color value
+ * @returns {number|null} Contrast ratio from 1 (identical luminance) to 21 (black on white), or null if either color can't be parsed
+ * @example
+ * getContrastRatio("#000000", "#ffffff") // Returns: 21
+ * getContrastRatio("#3b82f6", "#ffffff") // Returns: 3.68 (approximately)
+ */
+export function getContrastRatio(colorA, colorB) {
+    const a = getRelativeLuminance(colorA)
+    const b = getRelativeLuminance(colorB)
+    if (a === null || b === null) return null
+
+    return (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05)
+}
+
+/**
+ * Minimum WCAG 2 contrast ratios for text, by conformance level
+ * Large text is at least 18pt, or 14pt bold.
+ * @type {Object<string, {normal: number, large: number}>}
+ * @constant
+ */
+export const WCAG_CONTRAST = {
+    AA: { normal: 4.5, large: 3 },
+    AAA: { normal: 7, large: 4.5 }
+}
+
+/**
+ * Check whether two colors meet a WCAG 2 contrast level for text
+ * @param {string} foreground - Text color
+ * @param {string} background - Background color
+ * @param {'AA'|'AAA'} [level='AA'] - Conformance level
+ * @param {{largeText?: boolean}} [options={}] - Use the lower large-text thresholds
+ * @returns {boolean} True if the contrast ratio meets the level (false if either color can't be parsed)
+ * @example
+ * meetsWCAG("#ffffff", "#3b82f6") // Returns: false (3.68 < 4.5)
+ * meetsWCAG("#ffffff", "#3b82f6", 'AA', { largeText: true }) // Returns: true (3.68 >= 3)
+ * meetsWCAG("#000000", "#ffffff", 'AAA') // Returns: true
+ */
+export function meetsWCAG(foreground, background, level = 'AA', options = {}) {
+    const thresholds = WCAG_CONTRAST[level]
+    if (!thresholds) {
+        throw new Error(`Unknown WCAG level: ${level}`)
+    }
+
+    const ratio = getContrastRatio(foreground, background)
+    return ratio !== null && ratio >= (options.largeText ? thresholds.large : thresholds.normal)
 }
 
 /**
  * Get contrasting text color (black or white) for background color
- * Uses relative luminance calculation for WCAG compliance
- * @param {string} backgroundColor - Background color (hex format)
- * @returns {string} '#000000' for light backgrounds, '#ffffff' for dark backgrounds
+ * Picks whichever of black and white has the higher WCAG contrast ratio with the background
+ * @param {string} backgroundColor - Background color (any CSS colour parseColor understands)
+ * @returns {string} '#000000' for light backgrounds, '#ffffff' for dark backgrounds ('#000000' if it can't be parsed)
  * @example
  * getContrastColor("#ffffff") // Returns: "#000000" (black text on white)
  * getContrastColor("#000000") // Returns: "#ffffff" (white text on black)
- * getContrastColor("#3b82f6") // Returns: "#ffffff" (white text on blue)
+ * getContrastColor("#1d4ed8") // Returns: "#ffffff" (white text on dark blue)
+ * getContrastColor("hsl(60 100% 50%)") // Returns: "#000000" (black text on yellow)
  */
 export function getContrastColor(backgroundColor) {
-    const rgb = hexToRgb(backgroundColor)
-    if (!rgb) return '#000000'
+    const luminance = getRelativeLuminance(backgroundColor)
+    if (luminance === null) return '#000000'
+
+    // Contrast with black is (L + 0.05) / 0.05 and with white 1.05 / (L + 0.05)
+    return (luminance + 0.05) / 0.05 >= 1.05 / (luminance + 0.05) ? '#000000' : '#ffffff'
+}
+
+/**
+ * Generate categorical colors that stand out from a background
+ * Hues are spread evenly around the OKLCH circle at equal chroma, and each color's lightness
+ * is pushed away from the background until it reaches the minimum contrast ratio. With more
+ * than six colors, alternate colors also step further in lightness so neighbours differ in
+ * more than hue alone.
+ * @param {string} background - Background color the palette is drawn on
+ * @param {number} count - Number of colors needed
+ * @param {{
+ *   minContrast?: number,
+ *   chroma?: number,
+ *   startHue?: number
+ * }} [options={}] - Minimum contrast ratio against the background (default 3, the WCAG
+ *   threshold for graphical objects), OKLCH chroma (default 0.14) and first hue in degrees (default 255, blue)
+ * @returns {string[]} Array of hex colors
+ * @example
+ * const colors = generateAccessiblePalette('#ffffff', 5)
+ * // Returns: five distinct hues, each with at least 3:1 contrast against white
+ */
+export function generateAccessiblePalette(background, count, options = {}) {
+    const minContrast = options.minContrast ?? 3
+    const chroma = options.chroma ?? 0.14
+    const startHue = options.startHue ?? 255
+
+    // Black and white contrast equally with a background of luminance ~0.18
+    const isDarkBackground = (getRelativeLuminance(background) ?? 1) < 0.18
+    const direction = isDarkBackground ? 1 : -1
+
+    return Array.from({ length: count }, (_, index) => {
+        const hue = (startHue + (index * 360) / count) % 360
+        const tier = count > 6 && index % 2 === 1 ? 0.12 : 0
+        let lightness = (isDarkBackground ? 0.68 : 0.62) + direction * tier
+        let color = formatColor(oklchToRgb({ l: lightness, c: chroma, h: hue }))
+
+        while ((getContrastRatio(color, background) ?? Infinity) < minContrast && lightness > 0 && lightness < 1) {
+            lightness += direction * 0.01
+            color = formatColor(oklchToRgb({ l: lightness, c: chroma, h: hue }))
+        }
+
+        return color
+    })
+}
+
+/**
+ * Named colour schemes for continuous scales, as hex stops from low to high
+ * Sequential schemes run from light (or dark) to intense; diverging schemes have a
+ * neutral middle stop, so pair them with a domain centred on the midpoint.
+ * @type {Object<string, string[]>}
+ * @constant
+ */
+export const COLOR_SCHEMES = {
+    // Sequential
+    blues: ['#eff6ff', '#bfdbfe', '#60a5fa', '#2563eb', '#1e3a8a'],
+    greens: ['#f0fdf4', '#bbf7d0', '#4ade80', '#16a34a', '#14532d'],
+    reds: ['#fef2f2', '#fecaca', '#f87171', '#dc2626', '#7f1d1d'],
+    purples: ['#faf5ff', '#e9d5ff', '#c084fc', '#9333ea', '#581c87'],
+    viridis: ['#440154', '#482878', '#3e4989', '#31688e', '#26828e', '#1f9e89', '#35b779', '#6ece58', '#b5de2b', '#fde725'],
+    magma: ['#000004', '#1c1044', '#4f127b', '#812581', '#b5367a', '#e55064', '#fb8761', '#fec287', '#fcfdbf'],
+    plasma: ['#0d0887', '#5302a3', '#8b0aa5', '#b83289', '#db5c68', '#f48849', '#febd2a', '#f0f921'],
+    // Diverging
+    blueRed: ['#2166ac', '#67a9cf', '#d1e5f0', '#f7f7f7', '#fddbc7', '#ef8a62', '#b2182b'],
+    redYellowGreen: ['#d73027', '#fc8d59', '#fee08b', '#ffffbf', '#d9ef8b', '#91cf60', '#1a9850'],
+    purpleGreen: ['#762a83', '#af8dc3', '#e7d4e8', '#f7f7f7', '#d9f0d3', '#7fbf7b', '#1b7837']
+}
+
+// D65 reference white for CIE Lab
+const LAB_WHITE = { x: 0.95047, y: 1, z: 1.08883 }
+const LAB_EPSILON = 216 / 24389
+const LAB_KAPPA = 24389 / 27
+
+// Below this OKLCH chroma a colour is treated as grey, so its hue is meaningless
+const ACHROMATIC_CHROMA = 0.02
+
+/**
+ * Convert an sRGB channel (0-255) to linear light (0-1)
+ * @private
+ * @param {number} value - sRGB channel value
+ * @returns {number} Linear channel value
+ */
+function toLinear(value) {
+    const channel = value / 255
+    return channel <= 0.04045 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4)
+}
+
+/**
+ * Convert a linear light channel (0-1) to sRGB (0-255), clamping out-of-gamut values
+ * @private
+ * @param {number} value - Linear channel value
+ * @returns {number} sRGB channel value
+ */
+function fromLinear(value) {
+    const channel = value <= 0.0031308 ? 12.92 * value : 1.055 * Math.pow(value, 1 / 2.4) - 0.055
+    return Math.round(Math.min(Math.max(channel, 0), 1) * 255)
+}
+
+/**
+ * Convert RGB to CIE Lab (D65)
+ * @param {import('../types.js').RGBColor} rgb - RGB color
+ * @returns {import('../types.js').LabColor} Lab color {l, a, b}
+ * @example
+ * rgbToLab({ r: 255, g: 255, b: 255 }) // Returns: { l: 100, a: 0, b: 0 } (approximately)
+ */
+export function rgbToLab({ r, g, b }) {
+    const lr = toLinear(r)
+    const lg = toLinear(g)
+    const lb = toLinear(b)
+
+    const f = t => (t > LAB_EPSILON ? Math.cbrt(t) : (LAB_KAPPA * t + 16) / 116)
+    const fx = f((0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb) / LAB_WHITE.x)
+    const fy = f((0.2126729 * lr + 0.7151522 * lg + 0.0721750 * lb) / LAB_WHITE.y)
+    const fz = f((0.0193339 * lr + 0.1191920 * lg + 0.9503041 * lb) / LAB_WHITE.z)
+
+    return {
+        l: 116 * fy - 16,
+        a: 500 * (fx - fy),
+        b: 200 * (fy - fz)
+    }
+}
+
+/**
+ * Convert CIE Lab (D65) to RGB, clamping colours outside the sRGB gamut
+ * @param {import('../types.js').LabColor} lab - Lab color
+ * @returns {import('../types.js').RGBColor} RGB color
+ * @example
+ * labToRgb({ l: 53.24, a: 80.09, b: 67.2 }) // Returns: { r: 255, g: 0, b: 0 }
+ */
+export function labToRgb({ l, a, b }) {
+    const fy = (l + 16) / 116
+    const fx = fy + a / 500
+    const fz = fy - b / 200
+
+    const inverse = t => (Math.pow(t, 3) > LAB_EPSILON ? Math.pow(t, 3) : (116 * t - 16) / LAB_KAPPA)
+    const x = LAB_WHITE.x * inverse(fx)
+    const y = LAB_WHITE.y * (l > LAB_KAPPA * LAB_EPSILON ? Math.pow(fy, 3) : l / LAB_KAPPA)
+    const z = LAB_WHITE.z * inverse(fz)
+
+    return {
+        r: fromLinear(3.2404542 * x - 1.5371385 * y - 0.4985314 * z),
+        g: fromLinear(-0.9692660 * x + 1.8760108 * y + 0.0415560 * z),
+        b: fromLinear(0.0556434 * x - 0.2040259 * y + 1.0572252 * z)
+    }
+}
+
+/**
+ * Convert RGB to OKLCH
+ * @param {import('../types.js').RGBColor} rgb - RGB color
+ * @returns {import('../types.js').OklchColor} OKLCH color {l, c, h}
+ * @example
+ * rgbToOklch({ r: 59, g: 130, b: 246 }) // Returns: { l: 0.62, c: 0.19, h: 259.8 } (approximately)
+ */
+export function rgbToOklch({ r, g, b }) {
+    const lr = toLinear(r)
+    const lg = toLinear(g)
+    const lb = toLinear(b)
+
+    const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb)
+    const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb)
+    const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb)
+
+    const okA = 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s
+    const okB = 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    const hue = Math.atan2(okB, okA) * 180 / Math.PI
+
+    return {
+        l: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+        c: Math.hypot(okA, okB),
+        h: (hue + 360) % 360
+    }
+}
+
+/**
+ * Convert OKLCH to RGB, clamping colours outside the sRGB gamut
+ * @param {import('../types.js').OklchColor} lch - OKLCH color
+ * @returns {import('../types.js').RGBColor} RGB color
+ * @example
+ * oklchToRgb({ l: 1, c: 0, h: 0 }) // Returns: { r: 255, g: 255, b: 255 }
+ */
+export function oklchToRgb({ l, c, h }) {
+    const radians = h * Math.PI / 180
+    const okA = c * Math.cos(radians)
+    const okB = c * Math.sin(radians)
+
+    const lc = Math.pow(l + 0.3963377774 * okA + 0.2158037573 * okB, 3)
+    const mc = Math.pow(l - 0.1055613458 * okA - 0.0638541728 * okB, 3)
+    const sc = Math.pow(l - 0.0894841775 * okA - 1.2914855480 * okB, 3)
 
-    // Calculate relative luminance
-    const luminance = (0.299 * rgb.r + 0.587 * rgb.g + 0.114 * rgb.b) / 255
+    return {
+        r: fromLinear(4.0767416621 * lc - 3.3077115913 * mc + 0.2309699292 * sc),
+        g: fromLinear(-1.2684380046 * lc + 2.6097574011 * mc - 0.3413193965 * sc),
+        b: fromLinear(-0.0041960863 * lc - 0.7034186147 * mc + 1.7076147010 * sc)
+    }
+}
+
+/**
+ * Interpolate between two colors (alpha is interpolated linearly)
+ * 'lab' and 'oklch' interpolate in perceptual colour spaces, so steps look evenly spaced;
+ * 'oklch' takes the shorter way round the hue circle (keeping the hue of a coloured end
+ * when the other end is grey).
+ * @param {string} from - Start color (any CSS colour parseColor understands)
+ * @param {string} to - End color (any CSS colour parseColor understands)
+ * @param {number} t - Position between the colors (0 = from, 1 = to; clamped)
+ * @param {import('../types.js').ColorInterpolationMode} [mode='rgb'] - Colour space to interpolate in
+ * @returns {string} Interpolated hex color, or rgba() if translucent (from unchanged if either color can't be parsed)
+ * @example
+ * interpolateColor("#000000", "#ffffff", 0.5) // Returns: "#808080"
+ * interpolateColor("#000000", "#ffffff", 0.5, 'lab') // Returns: "#777777" (perceptual mid-grey)
+ */
+export function interpolateColor(from, to, t, mode = 'rgb') {
+    const start = parseColor(from)
+    const end = parseColor(to)
+    if (!start || !end) return from
+
+    const amount = Math.min(Math.max(t, 0), 1)
+    const mix = (a, b) => a + (b - a) * amount
+    let rgb
+
+    if (mode === 'lab') {
+        const a = rgbToLab(start)
+        const b = rgbToLab(end)
+        rgb = labToRgb({ l: mix(a.l, b.l), a: mix(a.a, b.a), b: mix(a.b, b.b) })
+    } else if (mode === 'oklch') {
+        const a = rgbToOklch(start)
+        const b = rgbToOklch(end)
+        const startHue = a.c < ACHROMATIC_CHROMA ? b.h : a.h
+        const endHue = b.c < ACHROMATIC_CHROMA ? startHue : b.h
+        const hueDelta = ((endHue - startHue + 540) % 360) - 180
+        rgb = oklchToRgb({ l: mix(a.l, b.l), c: mix(a.c, b.c), h: startHue + hueDelta * amount })
+    } else {
+        rgb = {
+            r: Math.round(mix(start.r, end.r)),
+            g: Math.round(mix(start.g, end.g)),
+            b: Math.round(mix(start.b, end.b))
+        }
+    }
+
+    return formatColor({ ...rgb, a: Math.round(mix(start.a, end.a) * 1000) / 1000 })
+}
 
-    return luminance > 0.5 ? '#000000' : '#ffffff'
-}
\ No newline at end of file
+/**
+ * Interpolate along a sequence of evenly spaced color stops
+ * @param {string[]} colors - Color stops (CSS colours), from lowest to highest
+ * @param {number} t - Position along the stops (0 = first, 1 = last; clamped)
+ * @param {import('../types.js').ColorInterpolationMode} [mode='rgb'] - Colour space to interpolate in
+ * @returns {string} Interpolated hex color (rgba() if translucent)
+ * @example
+ * interpolateColors(["#ffffff", "#3b82f6", "#000000"], 0.25) // Returns: halfway between white and blue
+ * interpolateColors(["#ffffff", "#3b82f6", "#000000"], 1) // Returns: "#000000"
+ */
+export function interpolateColors(colors, t, mode = 'rgb') {
+    if (colors.length === 1) return colors[0]
+
+    const position = Math.min(Math.max(t, 0), 1) * (colors.length - 1)
+    const index = Math.min(Math.floor(position), colors.length - 2)
+
+    return interpolateColor(colors[index], colors[index + 1], position - index, mode)
+}
+
+/**
+ * Create a continuous colour scale mapping numbers to colours
+ * The domain values are spread evenly along the colour range, so [min, max] maps the whole
+ * range linearly and [min, mid, max] puts mid at the centre of the range (for diverging
+ * schemes). Values outside the domain are clamped.
+ * @param {number[]} domain - Ascending domain stops (at least two)
+ * @param {string[]|string} range - CSS colour stops, or the name of a COLOR_SCHEMES preset
+ * @param {{mode?: import('../types.js').ColorInterpolationMode}} [options={}] - Interpolation colour space (default 'lab')
+ * @returns {(value: number) => string|null} Scale function returning a hex colour (null for missing values)
+ * @example
+ * const scale = createColorScale([0, 100], 'viridis')
+ * scale(0) // Returns: "#440154"
+ * scale(100) // Returns: "#fde725"
+ *
+ * const diverging = createColorScale([-10, 0, 25], 'blueRed', { mode: 'oklch' })
+ * diverging(0) // Returns: "#f7f7f7" (neutral middle)
+ */
+export function createColorScale(domain, range, options = {}) {
+    const colors = typeof range === 'string' ? COLOR_SCHEMES[range] : range
+    if (!Array.isArray(colors) || colors.length === 0) {
+        throw new Error(`Unknown colour scheme or empty colour range: ${range}`)
+    }
+
+    const mode = options.mode || 'lab'
+    const stops = domain.length > 1 ? domain : [domain[0] ?? 0, domain[0] ?? 0]
+    const last = stops.length - 1
+
+    return (value) => {
+        if (typeof value !== 'number' || !Number.isFinite(value)) return null
+        if (value <= stops[0]) return interpolateColors(colors, 0, mode)
+        if (value >= stops[last]) return interpolateColors(colors, 1, mode)
+
+        const index = stops.findIndex((stop, i) => i < last && value >= stop && value <= stops[i + 1])
+        const span = stops[index + 1] - stops[index]
+        const within = span === 0 ? 0 : (value - stops[index]) / span
+
+        return interpolateColors(colors, (index + within) / last, mode)
+    }
+}
+
+/**
+ * Create a colour scale from chart colour scale options over a set of values
+ * The domain runs from colorScale.min/max (defaulting to the data range), through
+ * colorScale.center when set; colors takes precedence over scheme, and an unknown scheme
+ * falls back to blues.
+ * @param {import('../types.js').ColorScaleConfig} [config={}] - Colour scale options
+ * @param {Array<number|null>} [values=[]] - Values the scale has to cover (missing values are ignored)
+ * @returns {(value: number) => string|null} Scale function returning a hex colour (null for missing values)
+ * @example
+ * const scale = resolveColorScale({ scheme: 'greens' }, [4, 8, 15])
+ * scale(15) // Returns: "#14532d"
+ */
+export function resolveColorScale(config = {}, values = []) {
+    const finite = values.filter(value => typeof value === 'number' && Number.isFinite(value))
+    const min = config.min ?? (finite.length > 0 ? Math.min(...finite) : 0)
+    const max = config.max ?? (finite.length > 0 ? Math.max(...finite) : 0)
+    const domain = typeof config.center === 'number' ? [min, config.center, max] : [min, max]
+    const range = Array.isArray(config.colors) && config.colors.length > 0
+        ? config.colors
+        : COLOR_SCHEMES[config.scheme] || COLOR_SCHEMES.blues
+
+    return createColorScale(domain, range, { mode: config.mode })
+}
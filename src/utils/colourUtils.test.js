@@ -0,0 +1,130 @@
+import { describe, expect, it } from 'vitest'
+import {
+    formatColor,
+    generateAccessiblePalette,
+    getContrastColor,
+    getContrastRatio,
+    getRelativeLuminance,
+    hexToRgb,
+    meetsWCAG,
+    parseColor
+} from './colourUtils.js'
+
+describe('parseColor', () => {
+    it('parses hex colours of every length', () => {
+        expect(parseColor('#3b82f6')).toEqual({ r: 59, g: 130, b: 246, a: 1 })
+        expect(parseColor('#fff')).toEqual({ r: 255, g: 255, b: 255, a: 1 })
+        expect(parseColor('#0008')).toMatchObject({ r: 0, g: 0, b: 0 })
+        expect(parseColor('#0008').a).toBeCloseTo(0.533, 3)
+        expect(parseColor('#3b82f680').a).toBeCloseTo(0.502, 3)
+    })
+
+    it('parses named colours and transparent', () => {
+        expect(parseColor('rebeccapurple')).toEqual({ r: 102, g: 51, b: 153, a: 1 })
+        expect(parseColor('  Red ')).toEqual({ r: 255, g: 0, b: 0, a: 1 })
+        expect(parseColor('transparent')).toEqual({ r: 0, g: 0, b: 0, a: 0 })
+    })
+
+    it('parses comma and space separated rgb()', () => {
+        expect(parseColor('rgb(59, 130, 246)')).toEqual({ r: 59, g: 130, b: 246, a: 1 })
+        expect(parseColor('rgba(59, 130, 246, 0.5)')).toEqual({ r: 59, g: 130, b: 246, a: 0.5 })
+        expect(parseColor('rgb(59 130 246 / 25%)')).toEqual({ r: 59, g: 130, b: 246, a: 0.25 })
+        expect(parseColor('rgb(100% 0% 0%)')).toEqual({ r: 255, g: 0, b: 0, a: 1 })
+    })
+
+    it('parses hsl() with hue units', () => {
+        expect(parseColor('hsl(0, 100%, 50%)')).toEqual({ r: 255, g: 0, b: 0, a: 1 })
+        expect(parseColor('hsl(120deg 100% 25%)')).toEqual({ r: 0, g: 128, b: 0, a: 1 })
+        expect(parseColor('hsl(0.5turn 100% 50% / 0.5)')).toEqual({ r: 0, g: 255, b: 255, a: 0.5 })
+    })
+
+    it('returns null for colours it cannot resolve', () => {
+        expect(parseColor('var(--brand)')).toBeNull()
+        expect(parseColor('currentColor')).toBeNull()
+        expect(parseColor('#12345')).toBeNull()
+        expect(parseColor('rgb(1, 2)')).toBeNull()
+        expect(parseColor('not-a-colour')).toBeNull()
+        expect(parseColor(null)).toBeNull()
+    })
+})
+
+describe('formatColor', () => {
+    it('formats opaque colours as hex and translucent ones as rgba()', () => {
+        expect(formatColor({ r: 59, g: 130, b: 246 })).toBe('#3b82f6')
+        expect(formatColor({ r: 59, g: 130, b: 246, a: 0.5 })).toBe('rgba(59, 130, 246, 0.5)')
+    })
+
+    it('round-trips parsed colours', () => {
+        expect(formatColor(parseColor('hsl(217 91% 60%)'))).toBe('#3c83f6')
+        expect(formatColor(parseColor('#3b82f680'))).toBe('rgba(59, 130, 246, 0.502)')
+        expect(formatColor(parseColor('rgba(0, 0, 0, 0.25)'))).toBe('rgba(0, 0, 0, 0.25)')
+    })
+})
+
+describe('hexToRgb', () => {
+    it('converts hex to RGB channels', () => {
+        expect(hexToRgb('#3b82f6')).toEqual({ r: 59, g: 130, b: 246 })
+    })
+})
+
+describe('getContrastRatio', () => {
+    it('ranges from 1 for equal luminance to 21 for black on white', () => {
+        expect(getContrastRatio('#000000', '#ffffff')).toBe(21)
+        expect(getContrastRatio('#ffffff', '#000000')).toBe(21)
+        expect(getContrastRatio('red', '#ff0000')).toBe(1)
+        expect(getContrastRatio('#3b82f6', '#ffffff')).toBeCloseTo(3.68, 2)
+    })
+
+    it('returns null when either colour cannot be parsed', () => {
+        expect(getRelativeLuminance('var(--brand)')).toBeNull()
+        expect(getContrastRatio('var(--brand)', '#ffffff')).toBeNull()
+    })
+})
+
+describe('meetsWCAG', () => {
+    it('applies the normal and large text thresholds', () => {
+        expect(meetsWCAG('#ffffff', '#3b82f6')).toBe(false)
+        expect(meetsWCAG('#ffffff', '#3b82f6', 'AA', { largeText: true })).toBe(true)
+        expect(meetsWCAG('#000000', '#ffffff', 'AAA')).toBe(true)
+        expect(meetsWCAG('#767676', '#ffffff', 'AAA')).toBe(false)
+    })
+
+    it('fails colours it cannot parse', () => {
+        expect(meetsWCAG('currentColor', '#ffffff')).toBe(false)
+    })
+
+    it('throws for an unknown level', () => {
+        expect(() => meetsWCAG('#000000', '#ffffff', 'A')).toThrow('Unknown WCAG level: A')
+    })
+})
+
+describe('getContrastColor', () => {
+    it('picks black or white, whichever contrasts more', () => {
+        expect(getContrastColor('#ffffff')).toBe('#000000')
+        expect(getContrastColor('#000000')).toBe('#ffffff')
+        expect(getContrastColor('#1d4ed8')).toBe('#ffffff')
+        expect(getContrastColor('hsl(60 100% 50%)')).toBe('#000000')
+    })
+
+    it('falls back to black for colours it cannot parse', () => {
+        expect(getContrastColor('var(--surface)')).toBe('#000000')
+    })
+})
+
+describe('generateAccessiblePalette', () => {
+    it.each(['#ffffff', '#111827'])('gives distinct colours with 3:1 contrast against %s', background => {
+        const colors = generateAccessiblePalette(background, 8)
+
+        expect(colors).toHaveLength(8)
+        expect(new Set(colors).size).toBe(8)
+        colors.forEach(color => {
+            expect(getContrastRatio(color, background)).toBeGreaterThanOrEqual(3)
+        })
+    })
+
+    it('honours a higher minimum contrast', () => {
+        generateAccessiblePalette('#ffffff', 4, { minContrast: 4.5 }).forEach(color => {
+            expect(meetsWCAG(color, '#ffffff')).toBe(true)
+        })
+    })
+})
@@ -0,0 +1,254 @@
+/**
+ * Approximate duration of each supported time unit in milliseconds
+ * Month and year use average Gregorian lengths and are only used for unit selection
+ * @type {Object<string, number>}
+ * @constant
+ */
+export const TIME_UNITS = {
+    minute: 60 * 1000,
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000,
+    month: 30.436875 * 24 * 60 * 60 * 1000,
+    year: 365.2425 * 24 * 60 * 60 * 1000
+}
+
+/**
+ * Allowed step multiples for each time unit, smallest first
+ * @type {Array<[string, number[]]>}
+ * @constant
+ */
+const TIME_STEPS = [
+    ['minute', [1, 5, 15, 30]],
+    ['hour', [1, 3, 6, 12]],
+    ['day', [1, 2, 3]],
+    ['week', [1, 2]],
+    ['month', [1, 3, 6]],
+    ['year', [1, 2, 5, 10, 25, 50, 100]]
+]
+
+/**
+ * Upper bound on the ticks generateTimeTicks walks through, so a tiny step can't stall the page
+ * @type {number}
+ * @constant
+ */
+const MAX_TIME_TICKS = 1000
+
+/**
+ * Default Intl.DateTimeFormat options used to label ticks for each unit
+ * @type {Object<string, Intl.DateTimeFormatOptions>}
+ * @constant
+ */
+export const TIME_DISPLAY_FORMATS = {
+    minute: { hour: '2-digit', minute: '2-digit' },
+    hour: { hour: '2-digit', minute: '2-digit' },
+    day: { day: 'numeric', month: 'short' },
+    week: { day: 'numeric', month: 'short' },
+    month: { month: 'short', year: 'numeric' },
+    year: { year: 'numeric' }
+}
+
+/**
+ * Parse a date-like value into a timestamp
+ * Date-only ISO strings (YYYY-MM-DD) are read as local midnight rather than UTC
+ * @param {Date|string|number} value - Date object, ISO string or millisecond timestamp
+ * @returns {number|null} Millisecond timestamp or null if the value cannot be parsed
+ * @example
+ * parseDate('2024-03-01T12:00:00Z') // Returns: 1709294400000
+ * parseDate(new Date(0)) // Returns: 0
+ * parseDate('not a date') // Returns: null
+ */
+export function parseDate(value) {
+    if (value instanceof Date) {
+        const time = value.getTime()
+        return isNaN(time) ? null : time
+    }
+
+    if (typeof value === 'number') {
+        return isFinite(value) ? value : null
+    }
+
+    if (typeof value === 'string') {
+        const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value)
+        if (dateOnly) {
+            return new Date(+dateOnly[1], +dateOnly[2] - 1, +dateOnly[3]).getTime()
+        }
+
+        const time = Date.parse(value)
+        return isNaN(time) ? null : time
+    }
+
+    return null
+}
+
+/**
+ * Round a timestamp down to the start of a calendar unit (local time)
+ * Weeks start on Monday
+ * @param {number} timestamp - Millisecond timestamp
+ * @param {string} unit - Time unit (minute, hour, day, week, month, year)
+ * @returns {number} Timestamp at the start of the unit
+ * @example
+ * startOfUnit(new Date(2024, 2, 14, 15, 30).getTime(), 'day') // Returns: 14 March 2024 00:00
+ */
+export function startOfUnit(timestamp, unit) {
+    const date = new Date(timestamp)
+
+    switch (unit) {
+        case 'year':
+            return new Date(date.getFullYear(), 0, 1).getTime()
+        case 'month':
+            return new Date(date.getFullYear(), date.getMonth(), 1).getTime()
+        case 'week': {
+            const daysSinceMonday = (date.getDay() + 6) % 7
+            return new Date(date.getFullYear(), date.getMonth(), date.getDate() - daysSinceMonday).getTime()
+        }
+        case 'day':
+            return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime()
+        case 'hour':
+            date.setMinutes(0, 0, 0)
+            return date.getTime()
+        case 'minute':
+            date.setSeconds(0, 0)
+            return date.getTime()
+        default:
+            return timestamp
+    }
+}
+
+/**
+ * Add a number of calendar units to a timestamp (local time)
+ * @param {number} timestamp - Millisecond timestamp
+ * @param {string} unit - Time unit (minute, hour, day, week, month, year)
+ * @param {number} amount - Number of units to add
+ * @returns {number} Resulting timestamp
+ * @example
+ * addTimeUnits(new Date(2024, 0, 31).getTime(), 'day', 1) // Returns: 1 February 2024
+ */
+export function addTimeUnits(timestamp, unit, amount) {
+    const date = new Date(timestamp)
+
+    switch (unit) {
+        case 'year':
+            date.setFullYear(date.getFullYear() + amount)
+            break
+        case 'month':
+            date.setMonth(date.getMonth() + amount)
+            break
+        case 'week':
+            date.setDate(date.getDate() + amount * 7)
+            break
+        case 'day':
+            date.setDate(date.getDate() + amount)
+            break
+        default:
+            return timestamp + amount * TIME_UNITS[unit]
+    }
+
+    return date.getTime()
+}
+
+/**
+ * Choose the smallest calendar unit and step that fits the range in the given number of ticks
+ * @param {number} min - Start timestamp
+ * @param {number} max - End timestamp
+ * @param {number} [maxTicks=6] - Maximum number of ticks
+ * @returns {{unit: string, step: number}} Selected unit and step multiple
+ * @example
+ * chooseTimeUnit(Date.UTC(2024, 0, 1), Date.UTC(2024, 0, 8), 8) // Returns: { unit: 'day', step: 1 }
+ */
+export function chooseTimeUnit(min, max, maxTicks = 6) {
+    const range = Math.max(max - min, 0)
+
+    for (const [unit, steps] of TIME_STEPS) {
+        for (const step of steps) {
+            if (range / (TIME_UNITS[unit] * step) <= maxTicks - 1) {
+                return { unit, step }
+            }
+        }
+    }
+
+    const yearSteps = TIME_STEPS[TIME_STEPS.length - 1][1]
+    return { unit: 'year', step: yearSteps[yearSteps.length - 1] }
+}
+
+/**
+ * Generate tick timestamps aligned to calendar units within a range
+ * @param {number} min - Start timestamp
+ * @param {number} max - End timestamp
+ * @param {{maxTicks?: number, unit?: string, stepSize?: number}} [options={}] - Tick options, unit and stepSize override automatic selection
+ *   (stepSize only when it is a positive finite number; at most 1000 ticks are generated)
+ * @returns {{unit: string, step: number, ticks: number[]}} Selected unit, step and tick timestamps
+ * @example
+ * generateTimeTicks(new Date(2024, 0, 1).getTime(), new Date(2024, 5, 1).getTime(), { maxTicks: 6 })
+ * // Returns: { unit: 'month', step: 1, ticks: [1 Jan, 1 Feb, ..., 1 Jun] }
+ */
+export function generateTimeTicks(min, max, options = {}) {
+    const { maxTicks = 6 } = options
+    const stepSize = Number.isFinite(options.stepSize) && options.stepSize > 0 ? options.stepSize : null
+    let { unit, step } = chooseTimeUnit(min, max, maxTicks)
+
+    if (options.unit && TIME_UNITS[options.unit]) {
+        unit = options.unit
+        step = stepSize || Math.max(1, Math.ceil((max - min) / TIME_UNITS[unit] / Math.max(maxTicks - 1, 1)))
+    } else if (stepSize) {
+        step = stepSize
+    }
+
+    const ticks = []
+    let tick = startOfUnit(min, unit)
+
+    // Align multi-step ticks to round values (e.g. every 6 hours from midnight)
+    if (step > 1 && (unit === 'month' || unit === 'year')) {
+        const date = new Date(tick)
+        const index = unit === 'month' ? date.getMonth() : date.getFullYear()
+        tick = addTimeUnits(tick, unit, -(index % step))
+    } else if (step > 1 && (unit === 'minute' || unit === 'hour')) {
+        const parent = startOfUnit(tick, unit === 'minute' ? 'hour' : 'day')
+        const elapsed = Math.floor((tick - parent) / TIME_UNITS[unit])
+        tick = parent + (elapsed - (elapsed % step)) * TIME_UNITS[unit]
+    }
+
+    // Stop at the tick limit, or if the step doesn't move forward (e.g. a fraction of a month)
+    for (let count = 0; tick <= max && count < MAX_TIME_TICKS; count++) {
+        if (tick >= min) {
+            ticks.push(tick)
+        }
+
+        const next = addTimeUnits(tick, unit, step)
+        if (next <= tick) break
+        tick = next
+    }
+
+    return { unit, step, ticks }
+}
+
+/**
+ * Format a timestamp for display using unit-aware Intl.DateTimeFormat options
+ * @param {number} timestamp - Millisecond timestamp
+ * @param {string} unit - Time unit the value represents
+ * @param {{locale?: string, displayFormats?: Object<string, Intl.DateTimeFormatOptions>}} [options={}] - Locale and per-unit format overrides
+ * @returns {string} Formatted date string
+ * @example
+ * formatTimeTick(new Date(2024, 2, 1).getTime(), 'month', { locale: 'en-GB' }) // Returns: "Mar 2024"
+ * formatTimeTick(new Date(2024, 2, 1, 14).getTime(), 'hour', { locale: 'en-GB' }) // Returns: "14:00"
+ */
+export function formatTimeTick(timestamp, unit, options = {}) {
+    const format = options.displayFormats?.[unit] || TIME_DISPLAY_FORMATS[unit] || TIME_DISPLAY_FORMATS.day
+    return new Intl.DateTimeFormat(options.locale, format).format(new Date(timestamp))
+}
+
+/**
+ * Format a timestamp as a full date label for tooltips and accessible names
+ * @param {number} timestamp - Millisecond timestamp
+ * @param {{includeTime?: boolean, locale?: string}} [options={}] - Whether to include the time of day, and locale
+ * @returns {string} Formatted date string
+ * @example
+ * formatDateLabel(new Date(2024, 2, 1).getTime(), { locale: 'en-GB' }) // Returns: "1 Mar 2024"
+ * formatDateLabel(new Date(2024, 2, 1, 9, 30).getTime(), { includeTime: true, locale: 'en-GB' }) // Returns: "1 Mar 2024, 09:30"
+ */
+export function formatDateLabel(timestamp, options = {}) {
+    const format = options.includeTime
+        ? { dateStyle: 'medium', timeStyle: 'short' }
+        : { dateStyle: 'medium' }
+    return new Intl.DateTimeFormat(options.locale, format).format(new Date(timestamp))
+}
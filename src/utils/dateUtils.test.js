@@ -0,0 +1,132 @@
+import { describe, expect, it } from 'vitest'
+import {
+    addTimeUnits,
+    chooseTimeUnit,
+    generateTimeTicks,
+    parseDate,
+    startOfUnit
+} from './dateUtils.js'
+
+const local = (...parts) => new Date(...parts).getTime()
+
+describe('parseDate', () => {
+    it('reads dates, timestamps and ISO strings', () => {
+        expect(parseDate(new Date(0))).toBe(0)
+        expect(parseDate(1709294400000)).toBe(1709294400000)
+        expect(parseDate('2024-03-01T12:00:00Z')).toBe(1709294400000)
+    })
+
+    it('reads date-only strings as local midnight', () => {
+        expect(parseDate('2024-03-01')).toBe(local(2024, 2, 1))
+    })
+
+    it('returns null for values that are not dates', () => {
+        expect(parseDate('not a date')).toBeNull()
+        expect(parseDate(new Date('invalid'))).toBeNull()
+        expect(parseDate(Infinity)).toBeNull()
+        expect(parseDate(null)).toBeNull()
+    })
+})
+
+describe('startOfUnit', () => {
+    const time = local(2024, 2, 14, 15, 30, 45)
+
+    it('rounds down to each calendar unit', () => {
+        expect(startOfUnit(time, 'year')).toBe(local(2024, 0, 1))
+        expect(startOfUnit(time, 'month')).toBe(local(2024, 2, 1))
+        expect(startOfUnit(time, 'day')).toBe(local(2024, 2, 14))
+        expect(startOfUnit(time, 'hour')).toBe(local(2024, 2, 14, 15))
+        expect(startOfUnit(time, 'minute')).toBe(local(2024, 2, 14, 15, 30))
+    })
+
+    it('starts weeks on Monday', () => {
+        // 14 March 2024 is a Thursday
+        expect(startOfUnit(time, 'week')).toBe(local(2024, 2, 11))
+    })
+})
+
+describe('addTimeUnits', () => {
+    it('adds calendar units', () => {
+        expect(addTimeUnits(local(2024, 0, 31), 'day', 1)).toBe(local(2024, 1, 1))
+        expect(addTimeUnits(local(2024, 0, 1), 'week', 2)).toBe(local(2024, 0, 15))
+        expect(addTimeUnits(local(2024, 0, 1), 'month', 3)).toBe(local(2024, 3, 1))
+        expect(addTimeUnits(local(2024, 0, 1), 'year', -1)).toBe(local(2023, 0, 1))
+    })
+
+    it('adds fixed-length units in milliseconds', () => {
+        expect(addTimeUnits(0, 'hour', 2)).toBe(2 * 60 * 60 * 1000)
+        expect(addTimeUnits(0, 'minute', 15)).toBe(15 * 60 * 1000)
+    })
+})
+
+describe('chooseTimeUnit', () => {
+    it('picks the smallest unit and step that fits the tick count', () => {
+        expect(chooseTimeUnit(local(2024, 0, 1), local(2024, 0, 8), 8)).toEqual({ unit: 'day', step: 1 })
+        expect(chooseTimeUnit(local(2024, 0, 1), local(2024, 0, 1, 12), 6)).toEqual({ unit: 'hour', step: 3 })
+        expect(chooseTimeUnit(local(2024, 0, 1), local(2024, 5, 1), 6)).toEqual({ unit: 'month', step: 1 })
+    })
+
+    it('falls back to the largest year step for very long ranges', () => {
+        expect(chooseTimeUnit(local(1000, 0, 1), local(3000, 0, 1), 6)).toEqual({ unit: 'year', step: 100 })
+    })
+})
+
+describe('generateTimeTicks', () => {
+    const min = local(2024, 0, 1)
+    const max = local(2024, 5, 1)
+
+    it('generates ticks on calendar boundaries within the range', () => {
+        const { unit, step, ticks } = generateTimeTicks(min, max, { maxTicks: 6 })
+
+        expect(unit).toBe('month')
+        expect(step).toBe(1)
+        expect(ticks).toEqual([0, 1, 2, 3, 4, 5].map(month => local(2024, month, 1)))
+    })
+
+    it('skips boundaries before the start of the range', () => {
+        const { ticks } = generateTimeTicks(local(2024, 0, 15), max, { unit: 'month' })
+
+        expect(ticks[0]).toBe(local(2024, 1, 1))
+        expect(ticks.every(tick => tick >= local(2024, 0, 15) && tick <= max)).toBe(true)
+    })
+
+    it('honours a fixed unit and stepSize', () => {
+        const { unit, step, ticks } = generateTimeTicks(min, max, { unit: 'month', stepSize: 2 })
+
+        expect(unit).toBe('month')
+        expect(step).toBe(2)
+        expect(ticks).toEqual([local(2024, 0, 1), local(2024, 2, 1), local(2024, 4, 1)])
+    })
+
+    it('aligns multi-hour steps to the start of the day', () => {
+        const { ticks } = generateTimeTicks(local(2024, 0, 1, 1), local(2024, 0, 1, 20), { unit: 'hour', stepSize: 6 })
+
+        expect(ticks).toEqual([local(2024, 0, 1, 6), local(2024, 0, 1, 12), local(2024, 0, 1, 18)])
+    })
+
+    it('ignores a negative or non-finite stepSize', () => {
+        const automatic = generateTimeTicks(min, max, { unit: 'month' })
+
+        expect(generateTimeTicks(min, max, { unit: 'month', stepSize: -2 })).toEqual(automatic)
+        expect(generateTimeTicks(min, max, { unit: 'month', stepSize: NaN })).toEqual(automatic)
+        expect(generateTimeTicks(min, max, { stepSize: -1 })).toEqual(generateTimeTicks(min, max))
+        expect(generateTimeTicks(min, max, { stepSize: 0 })).toEqual(generateTimeTicks(min, max))
+    })
+
+    it('stops when the step does not move forward', () => {
+        // Half a month rounds to no change in the month
+        const { ticks } = generateTimeTicks(min, max, { unit: 'month', stepSize: 0.5 })
+
+        expect(ticks).toEqual([min])
+    })
+
+    it('caps the number of ticks', () => {
+        const { ticks } = generateTimeTicks(min, max, { unit: 'minute', stepSize: 1 })
+
+        expect(ticks).toHaveLength(1000)
+    })
+
+    it('returns a single tick for an empty range', () => {
+        expect(generateTimeTicks(min, min).ticks).toEqual([min])
+    })
+})
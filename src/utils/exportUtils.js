@@ -0,0 +1,464 @@
+import { unref } from 'vue'
+
+const SVG_NS = 'http://www.w3.org/2000/svg'
+
+/**
+ * CSS properties inlined into exported SVG elements, so the image looks the same without the
+ * page's stylesheets and CSS variables
+ * @type {string[]}
+ * @constant
+ */
+export const EXPORT_STYLE_PROPERTIES = [
+    'fill',
+    'fill-opacity',
+    'stroke',
+    'stroke-width',
+    'stroke-opacity',
+    'stroke-dasharray',
+    'stroke-linecap',
+    'stroke-linejoin',
+    'opacity',
+    'filter',
+    'visibility',
+    'display',
+    'font-family',
+    'font-size',
+    'font-weight',
+    'font-style',
+    'text-anchor',
+    'dominant-baseline',
+    'text-decoration'
+]
+
+/**
+ * Resolve a chart container from an element, a component instance or a ref to either
+ * @private
+ * @param {Element|Object|import('vue').Ref} target - Chart element, chart component or template ref
+ * @returns {{container: Element, svg: SVGSVGElement}|null} Container and chart SVG, or null if not found
+ */
+function resolveChart(target) {
+    const value = unref(target)
+    const element = value instanceof Element ? value : value?.$el
+
+    if (!(element instanceof Element)) return null
+
+    const svg = element.matches('svg[role="img"]') ? element : element.querySelector('svg[role="img"]')
+    return svg ? { container: svg.parentElement, svg } : null
+}
+
+/**
+ * Create an SVG element with attributes
+ * @private
+ * @param {string} tag - Element name
+ * @param {Object<string, string|number>} [attributes={}] - Attributes to set
+ * @returns {SVGElement} The element
+ */
+function createSvgElement(tag, attributes = {}) {
+    const element = document.createElementNS(SVG_NS, tag)
+
+    for (const name in attributes) {
+        element.setAttribute(name, String(attributes[name]))
+    }
+
+    return element
+}
+
+/**
+ * Copy the computed styles of an element onto its clone as an inline style
+ * @private
+ * @param {Element} original - Element in the page
+ * @param {Element} clone - Its exported copy
+ */
+function inlineStyles(original, clone) {
+    const computed = window.getComputedStyle(original)
+    const declarations = EXPORT_STYLE_PROPERTIES
+        .map(property => [property, computed.getPropertyValue(property)])
+        .filter(([, value]) => value !== '')
+        .map(([property, value]) => `${property}: ${value}`)
+
+    clone.removeAttribute('class')
+    if (declarations.length > 0) {
+        clone.setAttribute('style', declarations.join('; '))
+    }
+}
+
+/**
+ * Draw the HTML legend items as SVG, at their positions relative to the export origin
+ * @private
+ * @param {Element} container - Chart container
+ * @param {{left: number, top: number}} origin - Page position of the image's top left corner
+ * @returns {SVGGElement} Group of legend swatches and labels
+ */
+function renderLegend(container, origin) {
+    const group = createSvgElement('g', { class: 'chart-legend' })
+
+    container.querySelectorAll('.legend-item').forEach((item) => {
+        const marker = item.querySelector('.legend-marker')
+        const label = item.querySelector('.legend-marker ~ span')
+        const itemGroup = createSvgElement('g', { opacity: window.getComputedStyle(item).opacity })
+
+        if (marker) {
+            const rect = marker.getBoundingClientRect()
+            const style = window.getComputedStyle(marker)
+
+            itemGroup.appendChild(createSvgElement('rect', {
+                x: rect.left - origin.left,
+                y: rect.top - origin.top,
+                width: rect.width,
+                height: rect.height,
+                rx: parseFloat(style.borderTopLeftRadius) || 0,
+                // Pattern swatches reference the pattern defined in the chart SVG
+                fill: marker.querySelector('rect')?.getAttribute('fill') || style.backgroundColor,
+                opacity: style.opacity
+            }))
+        }
+
+        if (label) {
+            const rect = label.getBoundingClientRect()
+            const style = window.getComputedStyle(label)
+            const text = createSvgElement('text', {
+                x: rect.left - origin.left,
+                y: rect.top - origin.top + rect.height / 2,
+                'dominant-baseline': 'central',
+                fill: style.color,
+                'font-family': style.fontFamily,
+                'font-size': style.fontSize,
+                'font-weight': style.fontWeight,
+                'letter-spacing': style.letterSpacing === 'normal' ? 0 : style.letterSpacing
+            })
+
+            if (style.textDecorationLine?.includes('line-through')) {
+                text.setAttribute('text-decoration', 'line-through')
+            }
+
+            text.textContent = label.textContent
+            itemGroup.appendChild(text)
+        }
+
+        group.appendChild(itemGroup)
+    })
+
+    return group
+}
+
+/**
+ * Build a standalone SVG of a chart: the chart SVG with computed styles inlined, the HTML
+ * legend drawn in SVG and a background
+ * @private
+ * @param {Element|Object|import('vue').Ref} target - Chart element, chart component or template ref
+ * @param {import('../types.js').ChartExportOptions} options - Export options
+ * @returns {{svg: SVGSVGElement, width: number, height: number}} Exported SVG and its size in pixels
+ */
+function buildExportSvg(target, options) {
+    const chart = resolveChart(target)
+    if (!chart) {
+        throw new Error('No chart found to export')
+    }
+
+    const { container, svg } = chart
+    const viewBox = svg.viewBox.baseVal
+    const svgRect = svg.getBoundingClientRect()
+    const hasLayout = svgRect.width > 0 && svgRect.height > 0
+    const legendItems = hasLayout && options.includeLegend !== false
+        ? [...container.querySelectorAll('.legend-item')]
+        : []
+
+    // Without layout (e.g. a detached chart) the chart is exported at its viewBox size
+    const bounds = [svgRect, ...legendItems.map(item => item.getBoundingClientRect())]
+    const left = hasLayout ? Math.min(...bounds.map(rect => rect.left)) : 0
+    const top = hasLayout ? Math.min(...bounds.map(rect => rect.top)) : 0
+    const width = hasLayout ? Math.max(...bounds.map(rect => rect.right)) - left : viewBox.width
+    const height = hasLayout ? Math.max(...bounds.map(rect => rect.bottom)) - top : viewBox.height
+
+    const output = createSvgElement('svg', {
+        width,
+        height,
+        viewBox: `0 0 ${width} ${height}`
+    })
+
+    const background = options.background ??
+        (window.getComputedStyle(container).getPropertyValue('--chart-background').trim() || '#ffffff')
+    if (background !== 'transparent') {
+        output.appendChild(createSvgElement('rect', { width, height, fill: background }))
+    }
+
+    const clone = svg.cloneNode(true)
+    const originals = svg.querySelectorAll('*')
+    clone.querySelectorAll('*').forEach((element, index) => inlineStyles(originals[index], element))
+
+    clone.removeAttribute('class')
+    clone.setAttribute('x', hasLayout ? svgRect.left - left : 0)
+    clone.setAttribute('y', hasLayout ? svgRect.top - top : 0)
+    clone.setAttribute('width', hasLayout ? svgRect.width : width)
+    clone.setAttribute('height', hasLayout ? svgRect.height : height)
+    clone.setAttribute('font-family', window.getComputedStyle(container).fontFamily)
+    output.appendChild(clone)
+
+    if (legendItems.length > 0) {
+        output.appendChild(renderLegend(container, { left, top }))
+    }
+
+    return { svg: output, width, height }
+}
+
+/**
+ * Serialise a chart to a standalone SVG document
+ * Computed styles are inlined (CSS variables and theme colours included) and the HTML legend
+ * is drawn into the image.
+ * @param {Element|Object|import('vue').Ref} target - Chart element, chart component or template ref
+ * @param {import('../types.js').ChartExportOptions} [options={}] - Export options
+ * @returns {string} SVG markup
+ * @example
+ * const markup = serializeChart(chartRef, { background: 'transparent' })
+ */
+export function serializeChart(target, options = {}) {
+    return new XMLSerializer().serializeToString(buildExportSvg(target, options).svg)
+}
+
+/**
+ * Render SVG markup to a PNG
+ * @private
+ * @param {string} markup - SVG markup
+ * @param {number} width - Image width in CSS pixels
+ * @param {number} height - Image height in CSS pixels
+ * @param {number} pixelRatio - Device pixels per CSS pixel
+ * @returns {Promise<Blob>} PNG image
+ */
+async function renderPng(markup, width, height, pixelRatio) {
+    const image = new Image()
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`
+    await image.decode()
+
+    const canvas = document.createElement('canvas')
+    canvas.width = Math.round(width * pixelRatio)
+    canvas.height = Math.round(height * pixelRatio)
+
+    const context = canvas.getContext('2d')
+    context.scale(pixelRatio, pixelRatio)
+    context.drawImage(image, 0, 0, width, height)
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not render chart to PNG'))), 'image/png')
+    })
+}
+
+/**
+ * Save a blob as a file through a temporary link
+ * @private
+ * @param {Blob} blob - File contents
+ * @param {string} filename - File name
+ */
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = filename
+    link.click()
+    // Browsers start the download asynchronously, so the URL must outlive the click
+    setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+/**
+ * Export a chart as an SVG or PNG image, or copy it to the clipboard as a PNG
+ * The image includes the legend; set filename to download the file as well.
+ * @param {Element|Object|import('vue').Ref} target - Chart element, chart component or template ref
+ * @param {'svg'|'png'|'clipboard'} [format='png'] - Output format
+ * @param {import('../types.js').ChartExportOptions} [options={}] - Export options
+ * @returns {Promise<Blob>} The exported image (rejects if there is no chart or the clipboard is unavailable)
+ * @example
+ * const chartRef = ref(null) // <bar-chart ref="chartRef" ... />
+ * await exportChart(chartRef, 'png', { pixelRatio: 2, filename: 'sales' }) // Downloads sales.png
+ * await exportChart(chartRef, 'clipboard')
+ */
+export async function exportChart(target, format = 'png', options = {}) {
+    const { svg, width, height } = buildExportSvg(target, options)
+    const markup = new XMLSerializer().serializeToString(svg)
+
+    if (format === 'svg') {
+        const blob = new Blob([markup], { type: 'image/svg+xml' })
+        if (options.filename) downloadBlob(blob, `${options.filename}.svg`)
+        return blob
+    }
+
+    const pixelRatio = options.pixelRatio ?? window.devicePixelRatio ?? 1
+
+    if (format === 'clipboard') {
+        if (!navigator.clipboard?.write || typeof ClipboardItem === 'undefined') {
+            throw new Error('Clipboard image copy is not supported in this browser')
+        }
+
+        // The item is created before rendering so the copy still counts as part of the user gesture;
+        // both are awaited together so a failed write doesn't leave the render unhandled
+        const png = renderPng(markup, width, height, pixelRatio)
+        const [blob] = await Promise.all([
+            png,
+            navigator.clipboard.write([new ClipboardItem({ 'image/png': png })])
+        ])
+        return blob
+    }
+
+    const blob = await renderPng(markup, width, height, pixelRatio)
+    if (options.filename) downloadBlob(blob, `${options.filename}.png`)
+    return blob
+}
+
+/**
+ * Leave hidden datasets and labels out of chart data
+ * Hidden labels remove the label and the value at the same index from every dataset.
+ * @param {import('../types.js').ChartData} data - Chart data
+ * @param {{hiddenDatasets?: number[], hiddenLabels?: number[]}} [hidden={}] - Indices of the datasets and labels to leave out
+ * @returns {import('../types.js').ChartData} Data with only the visible datasets and labels
+ * @example
+ * getVisibleChartData({ labels: ['A', 'B'], datasets: [{ data: [1, 2] }, { data: [3, 4] }] }, { hiddenDatasets: [1] })
+ * // Returns: { labels: ['A', 'B'], datasets: [{ data: [1, 2] }] }
+ */
+export function getVisibleChartData(data, hidden = {}) {
+    const { hiddenDatasets = [], hiddenLabels = [] } = hidden
+    const isVisibleLabel = (_, index) => !hiddenLabels.includes(index)
+    const datasets = (data?.datasets || [])
+        .filter((_, index) => !hiddenDatasets.includes(index))
+        .map(dataset => ({
+            ...dataset,
+            data: hiddenLabels.length > 0 ? (dataset.data || []).filter(isVisibleLabel) : dataset.data || []
+        }))
+
+    return {
+        ...data,
+        ...(data?.labels && { labels: data.labels.filter(isVisibleLabel) }),
+        datasets
+    }
+}
+
+/**
+ * Name of a dataset in exported data
+ * @private
+ * @param {import('../types.js').Dataset} dataset - Dataset
+ * @param {number} index - Dataset index
+ * @returns {string} Dataset label, or a numbered fallback
+ */
+function getDatasetName(dataset, index) {
+    return dataset.label || `Dataset ${index + 1}`
+}
+
+/**
+ * Arrange chart data as a table of header and row cells
+ * Category data gets a row per label and a column per dataset. Point data (scatter, bubble and
+ * heatmap datasets of objects) gets a row per point, with the dataset name and a column for
+ * each point property.
+ * @param {import('../types.js').ChartData} data - Chart data
+ * @returns {{headers: string[], rows: Array<Array<string|number|Date|null>>}} Table cells (missing values are null)
+ * @example
+ * chartDataToTable({ labels: ['Jan', 'Feb'], datasets: [{ label: 'Sales', data: [10, 20] }] })
+ * // Returns: { headers: ['Label', 'Sales'], rows: [['Jan', 10], ['Feb', 20]] }
+ */
+export function chartDataToTable(data) {
+    const datasets = data?.datasets || []
+    const isPointData = datasets.some(dataset => (dataset.data || []).some(value => value !== null && typeof value === 'object'))
+
+    if (isPointData) {
+        const keys = [...new Set(datasets.flatMap(dataset => (dataset.data || [])
+            .filter(point => point !== null && typeof point === 'object')
+            .flatMap(point => Object.keys(point))))]
+
+        return {
+            headers: ['Dataset', ...keys],
+            rows: datasets.flatMap((dataset, index) => (dataset.data || [])
+                .filter(point => point !== null && typeof point === 'object')
+                .map(point => [getDatasetName(dataset, index), ...keys.map(key => point[key] ?? null)]))
+        }
+    }
+
+    const labels = data?.labels || []
+    const rowCount = Math.max(labels.length, ...datasets.map(dataset => (dataset.data || []).length))
+
+    return {
+        headers: ['Label', ...datasets.map(getDatasetName)],
+        rows: Array.from({ length: rowCount }, (_, row) => [
+            labels[row] ?? null,
+            ...datasets.map(dataset => dataset.data?.[row] ?? null)
+        ])
+    }
+}
+
+/**
+ * Format a value as a CSV cell
+ * Text starting with a formula character is prefixed with an apostrophe so spreadsheets don't
+ * evaluate it; cells containing the delimiter, quotes, line breaks or edge spaces are quoted.
+ * @private
+ * @param {*} value - Cell value
+ * @param {string} delimiter - Field delimiter
+ * @returns {string} CSV cell
+ */
+function toCSVCell(value, delimiter) {
+    if (value === null || value === undefined) return ''
+    if (typeof value === 'number') return Number.isFinite(value) ? String(value) : ''
+
+    let text = value instanceof Date ? value.toISOString() : String(value)
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`
+    }
+
+    const needsQuotes = text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim()
+    return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Convert chart data to CSV (RFC 4180, with CRLF line endings)
+ * See chartDataToTable for the columns of category and point data.
+ * @param {import('../types.js').ChartData} data - Chart data
+ * @param {{delimiter?: string}} [options={}] - Field delimiter (default ',')
+ * @returns {string} CSV text
+ * @example
+ * chartDataToCSV({ labels: ['Q1', 'Q2'], datasets: [{ label: 'Revenue, net', data: [1200, null] }] })
+ * // Returns: 'Label,"Revenue, net"\r\nQ1,1200\r\nQ2,'
+ */
+export function chartDataToCSV(data, options = {}) {
+    const { delimiter = ',' } = options
+    const { headers, rows } = chartDataToTable(data)
+
+    return [headers, ...rows]
+        .map(row => row.map(cell => toCSVCell(cell, delimiter)).join(delimiter))
+        .join('\r\n')
+}
+
+/**
+ * Convert chart data to JSON, keeping the labels and each dataset's label and values
+ * @param {import('../types.js').ChartData} data - Chart data
+ * @returns {string} Indented JSON text
+ * @example
+ * chartDataToJSON({ labels: ['Q1'], datasets: [{ label: 'Revenue', data: [1200], backgroundColor: '#3b82f6' }] })
+ * // Returns: '{"labels": ["Q1"], "datasets": [{"label": "Revenue", "data": [1200]}]}' (indented)
+ */
+export function chartDataToJSON(data) {
+    const { labels, yLabels, datasets = [] } = data || {}
+
+    return JSON.stringify({
+        ...(labels && { labels }),
+        ...(yLabels && { yLabels }),
+        datasets: datasets.map((dataset, index) => ({
+            label: getDatasetName(dataset, index),
+            data: dataset.data || []
+        }))
+    }, null, 2)
+}
+
+/**
+ * Export the data behind a chart as CSV or JSON
+ * CSV files start with a byte order mark so spreadsheet applications read them as UTF-8.
+ * @param {import('../types.js').ChartData} data - Chart data
+ * @param {'csv'|'json'} [format='csv'] - Output format
+ * @param {import('../types.js').ChartDataExportOptions} [options={}] - Export options
+ * @returns {Blob} The exported file
+ * @example
+ * exportData(chartData, 'csv', { hiddenDatasets: [2], filename: 'revenue' }) // Downloads revenue.csv
+ */
+export function exportData(data, format = 'csv', options = {}) {
+    const visibleData = getVisibleChartData(data, options)
+    const isJSON = format === 'json'
+    const blob = isJSON
+        ? new Blob([chartDataToJSON(visibleData)], { type: 'application/json' })
+        : new Blob(['\uFEFF', chartDataToCSV(visibleData, options)], { type: 'text/csv;charset=utf-8' })
+
+    if (options.filename) downloadBlob(blob, `${options.filename}.${isJSON ? 'json' : 'csv'}`)
+    return blob
+}
@@ -0,0 +1,164 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import {
+    chartDataToCSV,
+    chartDataToJSON,
+    chartDataToTable,
+    exportData,
+    getVisibleChartData
+} from './exportUtils.js'
+
+const data = {
+    labels: ['Q1', 'Q2', 'Q3'],
+    datasets: [
+        { label: 'Revenue', data: [1200, null, 1500], backgroundColor: '#3b82f6' },
+        { label: 'Costs', data: [800, 900, 950] }
+    ]
+}
+
+describe('getVisibleChartData', () => {
+    it('leaves out hidden datasets', () => {
+        expect(getVisibleChartData(data, { hiddenDatasets: [0] }).datasets.map(dataset => dataset.label)).toEqual(['Costs'])
+    })
+
+    it('leaves out hidden labels and their values', () => {
+        const visible = getVisibleChartData(data, { hiddenLabels: [1] })
+
+        expect(visible.labels).toEqual(['Q1', 'Q3'])
+        expect(visible.datasets.map(dataset => dataset.data)).toEqual([[1200, 1500], [800, 950]])
+    })
+
+    it('returns everything when nothing is hidden', () => {
+        expect(getVisibleChartData(data)).toEqual(data)
+    })
+})
+
+describe('chartDataToTable', () => {
+    it('gives category data a row per label and a column per dataset', () => {
+        expect(chartDataToTable(data)).toEqual({
+            headers: ['Label', 'Revenue', 'Costs'],
+            rows: [['Q1', 1200, 800], ['Q2', null, 900], ['Q3', 1500, 950]]
+        })
+    })
+
+    it('names unlabelled datasets by position', () => {
+        expect(chartDataToTable({ labels: ['A'], datasets: [{ data: [1] }] }).headers).toEqual(['Label', 'Dataset 1'])
+    })
+
+    it('gives point data a row per point with a column per property', () => {
+        const table = chartDataToTable({
+            datasets: [
+                { label: 'Small', data: [{ x: 1, y: 2 }] },
+                { label: 'Large', data: [{ x: 3, y: 4, r: 10 }, null] }
+            ]
+        })
+
+        expect(table).toEqual({
+            headers: ['Dataset', 'x', 'y', 'r'],
+            rows: [['Small', 1, 2, null], ['Large', 3, 4, 10]]
+        })
+    })
+})
+
+describe('chartDataToCSV', () => {
+    it('writes CRLF rows with blank cells for missing values', () => {
+        expect(chartDataToCSV(data)).toBe('Label,Revenue,Costs\r\nQ1,1200,800\r\nQ2,,900\r\nQ3,1500,950')
+    })
+
+    it('quotes cells containing delimiters, quotes, line breaks or edge spaces', () => {
+        const csv = chartDataToCSV({
+            labels: ['a, b', 'say "hi"', 'two\nlines', ' padded'],
+            datasets: [{ label: 'Revenue, net', data: [1, 2, 3, 4] }]
+        })
+
+        expect(csv.split('\r\n')).toEqual([
+            'Label,"Revenue, net"',
+            '"a, b",1',
+            '"say ""hi""",2',
+            '"two\nlines",3',
+            '" padded",4'
+        ])
+    })
+
+    it('prefixes text that spreadsheets would run as a formula', () => {
+        const csv = chartDataToCSV({
+            labels: ['=SUM(A1)', '+1', '-1', '@cmd'],
+            datasets: [{ label: 'Value', data: [-5, 1, 2, 3] }]
+        })
+
+        expect(csv.split('\r\n').slice(1)).toEqual(["'=SUM(A1),-5", "'+1,1", "'-1,2", "'@cmd,3"])
+    })
+
+    it('writes dates as ISO strings and drops non-finite numbers', () => {
+        const csv = chartDataToCSV({
+            labels: [new Date(Date.UTC(2024, 0, 1))],
+            datasets: [{ label: 'Value', data: [Infinity] }]
+        })
+
+        expect(csv).toBe('Label,Value\r\n2024-01-01T00:00:00.000Z,')
+    })
+
+    it('uses a custom delimiter', () => {
+        expect(chartDataToCSV(data, { delimiter: ';' }).split('\r\n')[0]).toBe('Label;Revenue;Costs')
+        expect(chartDataToCSV({ labels: ['a;b'], datasets: [{ label: 'V', data: [1] }] }, { delimiter: ';' })).toBe('Label;V\r\n"a;b";1')
+    })
+})
+
+describe('chartDataToJSON', () => {
+    it('keeps only the labels and each dataset label and values', () => {
+        expect(JSON.parse(chartDataToJSON(data))).toEqual({
+            labels: ['Q1', 'Q2', 'Q3'],
+            datasets: [
+                { label: 'Revenue', data: [1200, null, 1500] },
+                { label: 'Costs', data: [800, 900, 950] }
+            ]
+        })
+    })
+
+    it('keeps heatmap Y labels and omits missing labels', () => {
+        const json = JSON.parse(chartDataToJSON({ yLabels: ['Mon'], datasets: [{ data: [{ x: 'a', y: 'Mon', v: 1 }] }] }))
+
+        expect(json).toEqual({ yLabels: ['Mon'], datasets: [{ label: 'Dataset 1', data: [{ x: 'a', y: 'Mon', v: 1 }] }] })
+    })
+})
+
+describe('exportData', () => {
+    afterEach(() => {
+        vi.restoreAllMocks()
+        vi.useRealTimers()
+    })
+
+    it('exports CSV with a byte order mark', async () => {
+        const blob = exportData(data, 'csv', { hiddenDatasets: [1] })
+        const bytes = new Uint8Array(await blob.arrayBuffer())
+
+        expect(blob.type).toBe('text/csv;charset=utf-8')
+        expect([...bytes.slice(0, 3)]).toEqual([0xef, 0xbb, 0xbf])
+        expect(new TextDecoder().decode(bytes.slice(3))).toBe('Label,Revenue\r\nQ1,1200\r\nQ2,\r\nQ3,1500')
+    })
+
+    it('exports JSON of the visible data', async () => {
+        const blob = exportData(data, 'json', { hiddenLabels: [0] })
+
+        expect(blob.type).toBe('application/json')
+        expect(JSON.parse(await blob.text()).labels).toEqual(['Q2', 'Q3'])
+    })
+
+    it('downloads the file when a filename is given, revoking the URL afterwards', () => {
+        vi.useFakeTimers()
+        const createObjectURL = vi.spyOn(URL, 'createObjectURL').mockReturnValue('blob:chart')
+        const revokeObjectURL = vi.spyOn(URL, 'revokeObjectURL').mockImplementation(() => {})
+        const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+            expect(this.download).toBe('revenue.csv')
+            expect(this.href).toBe('blob:chart')
+        })
+
+        const blob = exportData(data, 'csv', { filename: 'revenue' })
+
+        expect(createObjectURL).toHaveBeenCalledWith(blob)
+        expect(click).toHaveBeenCalledTimes(1)
+        expect(revokeObjectURL).not.toHaveBeenCalled()
+
+        vi.runAllTimers()
+        expect(revokeObjectURL).toHaveBeenCalledWith('blob:chart')
+    })
+})
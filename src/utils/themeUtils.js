@@ -0,0 +1,162 @@
+import { DEFAULT_COLORS, resolvePalette } from './colourUtils.js'
+
+/**
+ * Light theme preset (matches the default CSS variables)
+ * @type {import('../types.js').ChartTheme}
+ * @constant
+ */
+export const LIGHT_THEME = {
+    name: 'light',
+    colorScheme: 'light',
+    palette: DEFAULT_COLORS,
+    background: '#ffffff',
+    font: {
+        family: 'Roboto, \'Helvetica Neue\', Arial, sans-serif'
+    },
+    text: {
+        color: '#374151',
+        emphasisColor: '#111827'
+    },
+    grid: {
+        color: '#e5e7eb'
+    },
+    axis: {
+        color: '#6b7280'
+    },
+    tooltip: {
+        background: 'linear-gradient(135deg, rgba(17, 24, 39, 0.97) 0%, rgba(31, 41, 55, 0.97) 100%)',
+        color: '#ffffff'
+    },
+    legend: {
+        color: '#374151',
+        hoverBackground: 'rgba(0, 0, 0, 0.03)'
+    }
+}
+
+/**
+ * Dark theme preset
+ * @type {import('../types.js').ChartTheme}
+ * @constant
+ */
+export const DARK_THEME = {
+    name: 'dark',
+    colorScheme: 'dark',
+    palette: [
+        '#60a5fa', // blue
+        '#a78bfa', // purple
+        '#34d399', // green
+        '#fbbf24', // orange
+        '#f87171', // red
+        '#22d3ee', // cyan
+        '#f472b6', // pink
+        '#2dd4bf', // teal
+        '#fb923c', // orange-red
+        '#c084fc' // violet
+    ],
+    background: '#111827',
+    font: {
+        family: 'Roboto, \'Helvetica Neue\', Arial, sans-serif'
+    },
+    text: {
+        color: '#d1d5db',
+        emphasisColor: '#f9fafb'
+    },
+    grid: {
+        color: '#374151'
+    },
+    axis: {
+        color: '#9ca3af'
+    },
+    tooltip: {
+        background: 'linear-gradient(135deg, rgba(55, 65, 81, 0.97) 0%, rgba(75, 85, 99, 0.97) 100%)',
+        color: '#f9fafb'
+    },
+    legend: {
+        color: '#d1d5db',
+        hoverBackground: 'rgba(255, 255, 255, 0.06)'
+    }
+}
+
+/**
+ * Theme presets by name
+ * @type {Object<string, import('../types.js').ChartTheme>}
+ * @constant
+ */
+export const CHART_THEMES = {
+    light: LIGHT_THEME,
+    dark: DARK_THEME
+}
+
+/**
+ * Merge theme overrides into a base theme, one level deep (internal utility)
+ * @private
+ * @param {import('../types.js').ChartTheme} base - Base theme
+ * @param {Partial<import('../types.js').ChartTheme>} overrides - Theme overrides
+ * @returns {import('../types.js').ChartTheme} Merged theme
+ */
+function mergeTheme(base, overrides) {
+    const result = { ...base }
+
+    for (const key in overrides) {
+        const value = overrides[key]
+
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            result[key] = { ...base[key], ...value }
+        } else if (value !== undefined) {
+            result[key] = value
+        }
+    }
+
+    return result
+}
+
+/**
+ * Resolve a theme setting to a full theme
+ * 'auto' follows the prefers-color-scheme media query; an object overrides the preset named
+ * by its `base` ('light' by default, or 'auto'). Unknown names fall back to the light theme.
+ * @param {import('../types.js').ChartThemeSetting} setting - Preset name, 'auto' or theme overrides
+ * @param {boolean} [prefersDark=false] - Whether the user prefers a dark colour scheme
+ * @returns {import('../types.js').ChartTheme} Resolved theme
+ * @example
+ * resolveChartTheme('auto', true).name // Returns: "dark"
+ * resolveChartTheme({ base: 'dark', grid: { color: '#1f2937' } }).grid.color // Returns: "#1f2937"
+ */
+export function resolveChartTheme(setting, prefersDark = false) {
+    if (setting && typeof setting === 'object') {
+        const { base, ...overrides } = setting
+        return mergeTheme(resolveChartTheme(base || 'light', prefersDark), overrides)
+    }
+
+    if (setting === 'auto') {
+        return prefersDark ? DARK_THEME : LIGHT_THEME
+    }
+
+    return CHART_THEMES[setting] || LIGHT_THEME
+}
+
+/**
+ * Get the inline style that applies a theme to a chart container
+ * Components read the --chart-* custom properties, so everything inside the container follows the theme
+ * @param {import('../types.js').ChartTheme} theme - Resolved theme
+ * @returns {Object<string, string>} CSS custom properties plus background, colour scheme and font
+ * @example
+ * getThemeStyle(DARK_THEME)['--chart-grid-color'] // Returns: "#374151"
+ */
+export function getThemeStyle(theme) {
+    return {
+        '--chart-primary': resolvePalette(theme.palette)[0],
+        '--chart-background': theme.background,
+        '--chart-font-family': theme.font?.family,
+        '--chart-text-color': theme.text?.color,
+        '--chart-title-color': theme.text?.emphasisColor,
+        '--chart-grid-color': theme.grid?.color,
+        '--chart-axis-color': theme.axis?.color,
+        '--chart-tooltip-bg': theme.tooltip?.background,
+        '--chart-tooltip-text': theme.tooltip?.color,
+        '--chart-legend-text': theme.legend?.color,
+        '--chart-legend-hover-bg': theme.legend?.hoverBackground,
+        background: 'var(--chart-background)',
+        colorScheme: theme.colorScheme,
+        fontFamily: 'var(--chart-font-family)'
+    }
+}
@@ -1,3 +1,5 @@
+import { parseColor } from './colourUtils.js'
+
 /**
  * Validates chart data structure according to Chart.js pattern
  * Ensures data has required labels and datasets arrays with matching lengths
@@ -56,34 +58,114 @@ export function validateChartOptions(options) {
 
 /**
  * Validates that all data values are valid numbers
- * Checks for numeric type and filters out NaN values
- * @param {number[]} data - Array of numbers to validate
+ * Checks for numeric type and filters out NaN values. With allowGaps, null and
+ * undefined are accepted as missing values (drawn as gaps by line charts)
+ * @param {Array<number|null|undefined>} data - Array of numbers to validate
+ * @param {{allowGaps?: boolean}} [options={}] - Validation options
  * @returns {boolean} True if all values are valid numbers, false otherwise
  * @example
  * validateNumericData([1, 2, 3]) // Returns: true
  * validateNumericData([1, "2", 3]) // Returns: false (string "2")
  * validateNumericData([1, NaN, 3]) // Returns: false (NaN)
+ * validateNumericData([1, null, 3]) // Returns: false (null)
+ * validateNumericData([1, null, 3], { allowGaps: true }) // Returns: true
  */
-export function validateNumericData(data) {
+export function validateNumericData(data, options = {}) {
     if (!Array.isArray(data)) {
         return false
     }
 
     return data.every(value => {
+        if (options.allowGaps && (value === null || value === undefined)) {
+            return true
+        }
         return typeof value === 'number' && !isNaN(value)
     })
 }
 
 /**
- * Validates color value format (hex, rgb, rgba, or common named colors)
+ * Validates matrix data for heatmap charts
+ * Every dataset needs a data array of {x, y, v} cells, where x and y are category labels
+ * (strings or numbers) and v is numeric (null or undefined v marks a cell without a value).
+ * @param {import('../types.js').ChartData} data - Chart data object to validate
+ * @returns {boolean} True if every cell is valid, false otherwise
+ * @example
+ * validateMatrixData({ datasets: [{ data: [{ x: 'Mon', y: '09:00', v: 4 }] }] }) // Returns: true
+ * validateMatrixData({ datasets: [{ data: [{ x: 'Mon', y: '09:00', v: 'high' }] }] }) // Returns: false
+ */
+export function validateMatrixData(data) {
+    if (!data || typeof data !== 'object') {
+        return false
+    }
+
+    if (!Array.isArray(data.datasets) || data.datasets.length === 0) {
+        return false
+    }
+
+    const isCategory = value => typeof value === 'string' || typeof value === 'number'
+
+    return data.datasets.every(dataset => {
+        return (
+            dataset &&
+            typeof dataset === 'object' &&
+            Array.isArray(dataset.data) &&
+            dataset.data.every(cell => {
+                if (!cell || typeof cell !== 'object') return false
+                if (!isCategory(cell.x) || !isCategory(cell.y)) return false
+                return cell.v === null || cell.v === undefined || (typeof cell.v === 'number' && !isNaN(cell.v))
+            })
+        )
+    })
+}
+
+/**
+ * Validates point data for scatter and bubble charts
+ * Every dataset needs a data array of {x, y} points with numeric coordinates
+ * (null or undefined points are allowed as missing values). Labels are not required.
+ * @param {import('../types.js').ChartData} data - Chart data object to validate
+ * @param {{requireRadius?: boolean}} [options={}] - Require a non-negative r on every point (bubble charts)
+ * @returns {boolean} True if every point is valid, false otherwise
+ * @example
+ * validatePointData({ datasets: [{ data: [{ x: 1, y: 2 }, null] }] }) // Returns: true
+ * validatePointData({ datasets: [{ data: [1, 2] }] }) // Returns: false (not points)
+ * validatePointData({ datasets: [{ data: [{ x: 1, y: 2 }] }] }, { requireRadius: true }) // Returns: false (no r)
+ */
+export function validatePointData(data, options = {}) {
+    if (!data || typeof data !== 'object') {
+        return false
+    }
+
+    if (!Array.isArray(data.datasets) || data.datasets.length === 0) {
+        return false
+    }
+
+    const isNumber = value => typeof value === 'number' && !isNaN(value)
+
+    return data.datasets.every(dataset => {
+        return (
+            dataset &&
+            typeof dataset === 'object' &&
+            Array.isArray(dataset.data) &&
+            dataset.data.every(point => {
+                if (point === null || point === undefined) return true
+                if (typeof point !== 'object' || !isNumber(point.x) || !isNumber(point.y)) return false
+                return !options.requireRadius || (isNumber(point.r) && point.r >= 0)
+            })
+        )
+    })
+}
+
+/**
+ * Validates color value format (any CSS colour parseColor understands, a CSS variable, or currentColor)
  * @param {string} color - Color value to validate
  * @returns {boolean} True if color format is valid, false otherwise
  * @example
  * validateColor("#3b82f6") // Returns: true (hex)
  * validateColor("#fff") // Returns: true (short hex)
- * validateColor("rgb(59, 130, 246)") // Returns: true
- * validateColor("rgba(59, 130, 246, 0.5)") // Returns: true
- * validateColor("red") // Returns: true (named color)
+ * validateColor("rgb(59 130 246 / 50%)") // Returns: true
+ * validateColor("hsla(217, 91%, 60%, 0.5)") // Returns: true
+ * validateColor("cornflowerblue") // Returns: true (named color)
+ * validateColor("var(--chart-primary)") // Returns: true (resolved by the browser)
  * validateColor("invalid") // Returns: false
  */
 export function validateColor(color) {
@@ -91,26 +173,12 @@ export function validateColor(color) {
         return false
     }
 
-    // Test hex colors
-    if (/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/.test(color)) {
-        return true
-    }
-
-    // Test rgb/rgba
-    if (/^rgb(a)?\([\d,.\s]+\)$/.test(color)) {
-        return true
-    }
-
-    // Test named colors (basic check)
-    const namedColors = [
-        'black', 'white', 'red', 'green', 'blue', 'yellow', 'orange',
-        'purple', 'pink', 'brown', 'gray', 'grey'
-    ]
-    if (namedColors.includes(color.toLowerCase())) {
+    // CSS variables and currentColor can only be resolved by the browser
+    if (/^var\(\s*--[\w-]+\s*(,.*)?\)$/.test(color.trim()) || color.trim().toLowerCase() === 'currentcolor') {
         return true
     }
 
-    return false
+    return parseColor(color) !== null
 }
 
 /**